@@ -0,0 +1,71 @@
+/**
+ * Absence request approval queue for admins.
+ *
+ * Members ask from their shift list (see renderShiftList in ui.js); requests
+ * live in the `absence_requests` table. Approved ones are recorded as
+ * excused by the sweep and count as open slots in coverage checks.
+ */
+
+import { decideAbsenceRequest } from "./db.js";
+import { formatDateTime } from "./schedule.js";
+import { clearChildren, showToast } from "./ui.js";
+
+function emptyRow(text) {
+  const el = document.createElement("div");
+  el.className = "text-muted";
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Pending absence requests with Approve / Deny buttons. `onChange` runs
+ * after a decision.
+ */
+export function renderAbsenceApprovals({ absences, adminName, onChange }) {
+  clearChildren("adminAbsenceList");
+  const list = document.getElementById("adminAbsenceList");
+  const pending = absences.filter((a) => a.status === "requested");
+
+  if (!pending.length) {
+    list.appendChild(emptyRow("No absence requests waiting."));
+    return;
+  }
+
+  for (const a of pending) {
+    const item = document.createElement("div");
+    item.className = "list-group-item shadow-sm";
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div>
+          <div class="fw-semibold">${a.person}</div>
+          <div class="text-muted small">
+            ${formatDateTime(new Date(a.shift_start))} → ${formatDateTime(new Date(a.shift_end))}
+          </div>
+          <div class="small mt-1 reason"></div>
+        </div>
+        <div class="d-flex gap-2">
+          <button class="btn btn-sm btn-outline-success" data-decision="approved">Approve</button>
+          <button class="btn btn-sm btn-outline-danger" data-decision="denied">Deny</button>
+        </div>
+      </div>
+    `;
+    item.querySelector(".reason").textContent = a.reason;
+
+    for (const btn of item.querySelectorAll("button")) {
+      btn.addEventListener("click", async () => {
+        try {
+          btn.disabled = true;
+          await decideAbsenceRequest(a.id, btn.dataset.decision, adminName);
+          showToast(`Absence ${btn.dataset.decision}.`, "success");
+          await onChange();
+        } catch (e) {
+          console.error(e);
+          showToast(`Couldn't update absence request: ${e.message ?? e}`, "danger");
+          btn.disabled = false;
+        }
+      });
+    }
+
+    list.appendChild(item);
+  }
+}
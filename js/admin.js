@@ -2,11 +2,107 @@
  * Admin panel rendering and behavior.
  */
 
-import { fetchMissedShiftsNewestFirst, overrideMissedToVerified } from "./db.js";
+import {
+  fetchMissedShiftsNewestFirst,
+  fetchFlaggedCheckIns,
+  overrideAttendance,
+  OVERRIDE_STATUSES,
+  fetchAttendanceHistory,
+  fetchOverriddenShifts,
+  undoOverride,
+} from "./db.js";
+import { analyzeCoverage } from "./coverage.js";
+import { DEFAULT_TENT } from "./tents.js";
 import { formatDateTime } from "./schedule.js";
-import { clearChildren, showToast } from "./ui.js";
+import { badgeForStatus, clearChildren, showToast } from "./ui.js";
 
-export async function renderAdminList(adminName) {
+const OVERRIDE_LABELS = {
+  verified: "Verified",
+  excused: "Excused",
+  late: "Late",
+  covered: "Covered by…",
+};
+
+const SOURCE_LABELS = {
+  verify: "check-in",
+  sweep: "sweep",
+  reconcile: "reconcile",
+  admin_override: "admin override",
+  admin_undo: "undo",
+  api: "API",
+};
+
+function historyLine(h) {
+  const who = h.changed_by ? `, ${h.changed_by}` : "";
+  return `
+    <li>
+      ${formatDateTime(new Date(h.changed_at))}: ${h.old_status ?? "none"} → ${h.new_status ?? "removed"}
+      <span class="text-muted">(${SOURCE_LABELS[h.source] ?? h.source}${who})</span>
+    </li>`;
+}
+
+/**
+ * Append a "History" toggle to a list item; the shift's attendance timeline
+ * (attendance_history) loads each time it is opened.
+ */
+function addHistoryToggle(item, shiftIdValue) {
+  const btn = document.createElement("button");
+  btn.className = "btn btn-link btn-sm p-0 mt-1";
+  btn.textContent = "History";
+
+  const timeline = document.createElement("ul");
+  timeline.className = "small mb-0 mt-1 d-none";
+
+  btn.addEventListener("click", async () => {
+    if (timeline.classList.toggle("d-none")) return;
+    timeline.innerHTML = `<li class="text-muted">Loading…</li>`;
+    try {
+      const rows = await fetchAttendanceHistory(shiftIdValue);
+      timeline.innerHTML = rows.length
+        ? rows.map(historyLine).join("")
+        : `<li class="text-muted">No recorded changes.</li>`;
+    } catch (e) {
+      console.error(e);
+      timeline.innerHTML = `<li class="text-danger">Couldn't load history: ${e.message ?? e}</li>`;
+    }
+  });
+
+  item.append(btn, timeline);
+}
+
+function overrideForm(rec, people) {
+  const substitutes = people.filter((p) => p !== rec.person);
+  return `
+    <form class="row g-2 align-items-center mt-2">
+      <div class="col-sm-3">
+        <select name="status" class="form-select form-select-sm" aria-label="New status">
+          ${OVERRIDE_STATUSES.map((s) => `<option value="${s}">${OVERRIDE_LABELS[s]}</option>`).join("")}
+        </select>
+      </div>
+      <div class="col-sm-2 d-none" data-for="late">
+        <input name="lateMinutes" type="number" min="1" class="form-control form-control-sm" placeholder="Minutes" aria-label="Minutes late" />
+      </div>
+      <div class="col-sm-3 d-none" data-for="covered">
+        <select name="coveredBy" class="form-select form-select-sm" aria-label="Substitute">
+          <option value="">Substitute…</option>
+          ${substitutes.map((p) => `<option value="${p}">${p}</option>`).join("")}
+        </select>
+      </div>
+      <div class="col">
+        <input name="reason" class="form-control form-control-sm" placeholder="Reason (required)" aria-label="Reason" required />
+      </div>
+      <div class="col-auto">
+        <button type="submit" class="btn btn-sm btn-outline-success">Override</button>
+      </div>
+    </form>
+  `;
+}
+
+/**
+ * Missed shifts, each with an override form (verified, excused, late or
+ * covered, plus a required reason). `people` are the substitute choices.
+ */
+export async function renderAdminList(adminName, people = []) {
   clearChildren("adminList");
 
   const list = document.getElementById("adminList");
@@ -21,7 +117,6 @@ export async function renderAdminList(adminName) {
   }
 
   for (const rec of missed) {
-    console.log("Override target:", rec);
     const item = document.createElement("div");
     item.className = "list-group-item shadow-sm";
 
@@ -39,26 +134,36 @@ export async function renderAdminList(adminName) {
               : ""
           }
         </div>
-        <div class="d-flex flex-column gap-2 align-items-end">
-          <span class="badge text-bg-danger">Missed</span>
-          <button class="btn btn-sm btn-outline-success">Override → Verified</button>
-        </div>
+        <span class="badge text-bg-danger">Missed</span>
       </div>
+      ${overrideForm(rec, people)}
     `;
 
-    const btn = item.querySelector("button");
-    btn.addEventListener("click", async () => {
+    const form = item.querySelector("form");
+    form.elements.status.addEventListener("change", () => {
+      for (const el of form.querySelectorAll("[data-for]")) {
+        el.classList.toggle("d-none", el.dataset.for !== form.elements.status.value);
+      }
+    });
+
+    form.addEventListener("submit", async (ev) => {
+      ev.preventDefault();
+      const btn = form.querySelector("button");
+      const status = form.elements.status.value;
       try {
         btn.disabled = true;
-        await overrideMissedToVerified({
-          shiftId: rec.shift_id,
+        await overrideAttendance({
           person: rec.person,
           shiftStartISO: rec.shift_start,
           shiftEndISO: rec.shift_end,
+          status,
+          reason: form.elements.reason.value,
+          lateMinutes: Number(form.elements.lateMinutes.value) || null,
+          coveredBy: form.elements.coveredBy.value || null,
           adminName,
         });
-        showToast(`Overrode ${rec.person} shift to verified.`, "success");
-        await renderAdminList(adminName);
+        showToast(`Overrode ${rec.person}'s shift to ${status}.`, "success");
+        await Promise.all([renderAdminList(adminName, people), renderOverridesList(adminName, people)]);
       } catch (e) {
         console.error(e);
         showToast(`Override failed: ${e.message ?? e}`, "danger");
@@ -66,6 +171,177 @@ export async function renderAdminList(adminName) {
       }
     });
 
+    addHistoryToggle(item, rec.shift_id);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Shifts admins overrode, with an "Undo" that restores the state before the
+ * override (only while the override is the shift's latest change).
+ */
+export async function renderOverridesList(adminName, people = []) {
+  clearChildren("adminOverridesList");
+
+  const list = document.getElementById("adminOverridesList");
+  const overridden = await fetchOverriddenShifts(100);
+
+  if (!overridden.length) {
+    const el = document.createElement("div");
+    el.className = "text-muted";
+    el.textContent = "No overrides.";
+    list.appendChild(el);
+    return;
+  }
+
+  for (const rec of overridden) {
+    const item = document.createElement("div");
+    item.className = "list-group-item shadow-sm";
+
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div>
+          <div class="fw-semibold">${rec.person}</div>
+          <div class="text-muted small">${formatDateTime(new Date(rec.shift_start))} → ${formatDateTime(new Date(rec.shift_end))}</div>
+          <div class="small text-success mt-1">
+            Overridden by ${rec.override_by ?? "admin"}${rec.override_at ? ` · ${formatDateTime(new Date(rec.override_at))}` : ""}
+          </div>
+          <div class="small text-muted reason"></div>
+        </div>
+        <div class="d-flex flex-column gap-2 align-items-end">
+          ${badgeForStatus(rec.status, rec)}
+          <button class="btn btn-sm btn-outline-danger">Undo</button>
+        </div>
+      </div>
+    `;
+
+    // Free text from an admin, so set as text rather than markup.
+    item.querySelector(".reason").textContent = rec.override_reason ?? "";
+
+    const btn = item.querySelector("button");
+    btn.addEventListener("click", async () => {
+      try {
+        btn.disabled = true;
+        await undoOverride(rec.shift_id);
+        showToast(`Undid the override on ${rec.person}'s shift.`, "success");
+        await Promise.all([renderAdminList(adminName, people), renderOverridesList(adminName, people)]);
+      } catch (e) {
+        console.error(e);
+        showToast(`Undo failed: ${e.message ?? e}`, "danger");
+        btn.disabled = false;
+      }
+    });
+
+    addHistoryToggle(item, rec.shift_id);
+    list.appendChild(item);
+  }
+}
+
+const FLAG_LABELS = {
+  borderline: "Outside the geofence, within GPS accuracy",
+  impossible_jump: "Impossible jump between readings",
+  offline_replay: "Sent later from the offline queue",
+};
+
+/**
+ * Verified check-ins the location policy flagged, with the stored distance
+ * and accuracy so an admin can judge them.
+ */
+export async function renderFlaggedCheckIns() {
+  clearChildren("adminFlaggedList");
+
+  const list = document.getElementById("adminFlaggedList");
+  const flagged = await fetchFlaggedCheckIns(100);
+
+  if (!flagged.length) {
+    const el = document.createElement("div");
+    el.className = "text-muted";
+    el.textContent = "No flagged check-ins.";
+    list.appendChild(el);
+    return;
+  }
+
+  for (const rec of flagged) {
+    const item = document.createElement("div");
+    item.className = "list-group-item shadow-sm";
+
+    const start = new Date(rec.shift_start);
+    const flags = (rec.location_flags ?? []).map((f) => FLAG_LABELS[f] ?? f).join(" · ");
+
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div>
+          <div class="fw-semibold">${rec.person}</div>
+          <div class="text-muted small">${formatDateTime(start)}</div>
+          <div class="small text-warning-emphasis mt-1">${flags}</div>
+        </div>
+        <div class="text-end small text-muted">
+          ~${Math.round(rec.distance_meters ?? 0)}m outside<br />±${Math.round(rec.accuracy_meters ?? 0)}m
+        </div>
+      </div>
+    `;
+
+    addHistoryToggle(item, rec.shift_id);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Windows where the tent is (or was) below the tent-check minimum: as
+ * scheduled, because of approved absences (`absences`, absence_requests
+ * rows), or because of recorded misses.
+ */
+export async function renderCoverageList(schedule, absences = [], tent = DEFAULT_TENT) {
+  clearChildren("adminCoverageList");
+
+  const list = document.getElementById("adminCoverageList");
+  const missed = await fetchMissedShiftsNewestFirst(1000);
+  const missedShifts = missed.map((r) => ({
+    person: r.person,
+    start: new Date(r.shift_start),
+    end: new Date(r.shift_end),
+  }));
+
+  const excusedShifts = absences
+    .filter((a) => a.status === "approved")
+    .map((a) => ({ person: a.person, start: new Date(a.shift_start), end: new Date(a.shift_end) }));
+
+  const windows = analyzeCoverage(schedule.timeline, schedule.people, { missedShifts, excusedShifts, tent });
+
+  if (!windows.length) {
+    const el = document.createElement("div");
+    el.className = "text-muted";
+    el.textContent = "Every interval meets the tent-check minimum.";
+    list.appendChild(el);
+    return;
+  }
+
+  for (const w of windows) {
+    const item = document.createElement("div");
+    item.className = "list-group-item shadow-sm";
+
+    const detail =
+      w.cause === "missed"
+        ? `Missed by ${w.absent.join(", ")}`
+        : w.cause === "excused"
+          ? `Open: ${w.absent.join(", ")} excused`
+          : "Not enough people scheduled";
+    const badge = { missed: "text-bg-danger", excused: "text-bg-info" }[w.cause] ?? "text-bg-warning";
+
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div>
+          <div class="fw-semibold">${formatDateTime(w.start)} → ${formatDateTime(w.end)}</div>
+          <div class="text-muted small">${detail}</div>
+        </div>
+        <div class="d-flex flex-column gap-1 align-items-end">
+          <span class="badge ${badge}">
+            ${w.onDuty}/${w.required}
+          </span>
+        </div>
+      </div>
+    `;
+
     list.appendChild(item);
   }
 }
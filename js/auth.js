@@ -1,18 +1,72 @@
 /**
- * Very simple “login”: user enters a name.
- * We store it in localStorage so refresh keeps them logged in.
+ * Authentication via Supabase magic links.
+ *
+ * A signed-in Supabase user is mapped to a roster name through the
+ * `members` table (email -> name, role). Row-level security on `attendance`
+ * uses the same mapping, so the browser can only write rows for the
+ * member it is signed in as (admins may write any row).
+ * See sql/001_members.sql, and sql/011_tents.sql for per-tent roles.
  */
 
-const KEY = "unc_tenting_name";
+import { supabase } from "./db.js";
 
-export function getSavedName() {
-  return localStorage.getItem(KEY);
+export const MEMBERS_TABLE = "members";
+const MEMBER_CACHE_KEY = "tenting.member";
+
+export async function getSession() {
+  const { data, error } = await supabase.auth.getSession();
+  if (error) throw error;
+  return data.session ?? null;
+}
+
+/**
+ * Email a one-time sign-in link that returns to this page.
+ */
+export async function sendMagicLink(email) {
+  const { error } = await supabase.auth.signInWithOtp({
+    email: email.trim(),
+    options: {
+      emailRedirectTo: `${location.origin}${location.pathname}`,
+    },
+  });
+  if (error) throw error;
+}
+
+export async function signOut() {
+  localStorage.removeItem(MEMBER_CACHE_KEY);
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
 }
 
-export function saveName(name) {
-  localStorage.setItem(KEY, name);
+/**
+ * Roster entry for the signed-in user: { email, name, role } or null
+ * if their email isn't on the roster.
+ */
+export async function fetchCurrentMember(session) {
+  const email = session?.user?.email?.toLowerCase();
+  if (!email) return null;
+
+  const { data, error } = await supabase
+    .from(MEMBERS_TABLE)
+    .select("email,name,role")
+    .eq("email", email)
+    .maybeSingle();
+
+  if (error) {
+    // Offline: fall back to the last roster entry seen for this email.
+    const cached = JSON.parse(localStorage.getItem(MEMBER_CACHE_KEY) ?? "null");
+    if (!navigator.onLine && cached?.email === email) return cached;
+    throw error;
+  }
+
+  if (data) localStorage.setItem(MEMBER_CACHE_KEY, JSON.stringify(data));
+  return data ?? null;
 }
 
-export function clearName() {
-  localStorage.removeItem(KEY);
+/**
+ * Site admins (members.role) admin every tent; `tentRole` is the member's
+ * role in the current tent (tent_members), if known.
+ */
+export function isAdmin(member, tentRole = null) {
+  return member?.role === "admin" || tentRole === "admin";
 }
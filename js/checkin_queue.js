@@ -0,0 +1,75 @@
+/**
+ * Offline check-in queue (localStorage).
+ *
+ * When the verify endpoint can't be reached, the check-in as captured
+ * (location fix, samples and the time it was made) is kept here and replayed
+ * later; the endpoint judges it at its capture time. Entries are
+ *   { tentId, person, shiftStartISO, fix, samples, capturedAt, status, error }
+ * with status "pending" (not sent yet) or "failed" (the endpoint rejected
+ * it; `error` says why). One entry per shift: checking in again replaces it.
+ */
+
+import { DEFAULT_TENT_ID } from "./tents.js";
+
+const STORAGE_KEY = "tenting.checkInQueue";
+
+function readAll() {
+  try {
+    // Entries queued before tents existed belong to the main tent.
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+    return entries.map((e) => ({ tentId: DEFAULT_TENT_ID, ...e }));
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(entries) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
+
+function sameShift(a, b) {
+  return a.tentId === b.tentId && a.person === b.person && a.shiftStartISO === b.shiftStartISO;
+}
+
+/**
+ * `person`'s entries, in `tentId` only if given.
+ */
+export function queuedCheckIns(person, tentId = null) {
+  return readAll().filter((e) => e.person === person && (tentId === null || e.tentId === tentId));
+}
+
+export function queueCheckIn({ tentId = DEFAULT_TENT_ID, person, shiftStartISO, fix, samples, capturedAt }) {
+  const entry = { tentId, person, shiftStartISO, fix, samples, capturedAt, status: "pending", error: null };
+  writeAll([...readAll().filter((e) => !sameShift(e, entry)), entry]);
+  return entry;
+}
+
+export function removeQueuedCheckIn(person, shiftStartISO, tentId = DEFAULT_TENT_ID) {
+  writeAll(readAll().filter((e) => !sameShift(e, { tentId, person, shiftStartISO })));
+}
+
+/**
+ * Send `person`'s pending check-ins, from every tent, with `send(entry)`
+ * (which should throw an error with `offline: true` when there's no
+ * connection). Sent entries are removed, rejected ones marked failed; stops
+ * at the first offline error.
+ * Returns { sent, failed } counts.
+ */
+export async function replayCheckIns(person, send) {
+  let sent = 0;
+  let failed = 0;
+
+  for (const entry of queuedCheckIns(person).filter((e) => e.status === "pending")) {
+    try {
+      await send(entry);
+      removeQueuedCheckIn(person, entry.shiftStartISO, entry.tentId);
+      sent++;
+    } catch (e) {
+      if (e.offline) break;
+      writeAll(readAll().map((x) => (sameShift(x, entry) ? { ...x, status: "failed", error: e.message ?? String(e) } : x)));
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+}
@@ -0,0 +1,93 @@
+/**
+ * Tent-check coverage analysis over schedule.timeline (environment-neutral).
+ *
+ * Each timeline interval [row.time, nextRow.time) is checked against the day
+ * or night minimum headcount. Under-covered intervals are merged into windows
+ * and tagged with a cause:
+ * - "scheduled": the CSV itself has too few people on
+ * - "excused": enough were scheduled, but approved absences leave the slot
+ *   open (past or future)
+ * - "missed": enough were scheduled, but missed shifts left the tent short
+ *   (only for intervals that have already started)
+ */
+
+import { DEFAULT_TENT } from "./tents.js";
+import { zonedParts } from "./timezone.js";
+
+/**
+ * Whether `date` falls in `tent`'s night hours, on its wall clock.
+ */
+export function isNightTime(date, tent = DEFAULT_TENT) {
+  const { hour } = zonedParts(date, tent.timeZone);
+  const { nightStartHour: from, nightEndHour: to } = tent;
+  return from > to ? hour >= from || hour < to : hour >= from && hour < to;
+}
+
+/**
+ * Minimum headcount for an interval in `tent`, judged by its start time.
+ */
+export function requiredHeadcount(date, tent = DEFAULT_TENT) {
+  return isNightTime(date, tent) ? tent.tentCheckMinNight : tent.tentCheckMinDay;
+}
+
+/**
+ * Under-covered windows: [{ start, end, required, onDuty, cause, absent }].
+ * onDuty is the lowest headcount in the window; absent lists who was excused
+ * or missed (for "excused" and "missed" windows).
+ *
+ * `missedShifts` are shifts recorded as missed and `excusedShifts` shifts
+ * with an approved absence; their people don't count toward intervals they
+ * overlap. `now` limits "missed" analysis to the past; `tent` sets the
+ * minimums.
+ */
+export function analyzeCoverage(
+  timeline,
+  people,
+  { missedShifts = [], excusedShifts = [], now = new Date(), tent = DEFAULT_TENT } = {}
+) {
+  const windows = [];
+  let open = null;
+
+  for (let i = 0; i < timeline.length - 1; i++) {
+    const start = timeline[i].time;
+    const end = timeline[i + 1].time;
+    const required = requiredHeadcount(start, tent);
+
+    const overlaps = (list, p) => list.some((s) => s.person === p && s.start < end && s.end > start);
+    const scheduled = people.filter((p) => timeline[i].flags[p]);
+    const excused = scheduled.filter((p) => overlaps(excusedShifts, p));
+    const absent = [...excused, ...scheduled.filter((p) => !excused.includes(p) && overlaps(missedShifts, p))];
+
+    let cause = null;
+    let onDuty = scheduled.length;
+    if (scheduled.length < required) {
+      cause = "scheduled";
+    } else if (scheduled.length - excused.length < required) {
+      cause = "excused";
+      onDuty = scheduled.length - excused.length;
+    } else if (start < now && scheduled.length - absent.length < required) {
+      cause = "missed";
+      onDuty = scheduled.length - absent.length;
+    }
+
+    if (open && (cause !== open.cause || required !== open.required)) {
+      windows.push(open);
+      open = null;
+    }
+
+    if (!cause) continue;
+
+    if (open) {
+      open.end = end;
+      open.onDuty = Math.min(open.onDuty, onDuty);
+      if (cause !== "scheduled") {
+        for (const p of absent) if (!open.absent.includes(p)) open.absent.push(p);
+      }
+    } else {
+      open = { start, end, required, onDuty, cause, absent: cause === "scheduled" ? [] : [...absent] };
+    }
+  }
+
+  if (open) windows.push(open);
+  return windows;
+}
@@ -0,0 +1,113 @@
+/**
+ * Admin attendance dashboard: per-person stats for the season or one week,
+ * combining schedule shifts with `attendance` rows (see stats.js).
+ */
+
+import { fetchAllAttendance } from "./db.js";
+import { scheduleWeeks, formatWeekRange } from "./schedule.js";
+import { computeAttendanceStats, sortStats } from "./stats.js";
+import { clearChildren } from "./ui.js";
+
+let wired = false;
+let currentSchedule = null;
+let cachedRecords = null;
+
+function fmtHours(h) {
+  return h.toFixed(1);
+}
+
+function fmtRate(rate) {
+  return rate === null ? "—" : `${Math.round(rate * 100)}%`;
+}
+
+function renderTable() {
+  const schedule = currentSchedule;
+  const weekValue = document.getElementById("statsWeekSelect").value;
+  const sortKey = document.getElementById("statsSortSelect").value;
+
+  const range = weekValue === "all" ? {} : scheduleWeeks(schedule)[Number(weekValue)];
+  const rows = sortStats(
+    computeAttendanceStats({
+      shifts: schedule.shifts,
+      people: schedule.people,
+      records: cachedRecords,
+      rangeStart: range.start ?? null,
+      rangeEnd: range.end ?? null,
+    }),
+    sortKey
+  );
+
+  clearChildren("statsTable");
+  const table = document.createElement("table");
+  table.className = "table table-sm table-hover align-middle mb-0";
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Person</th>
+        <th class="text-end">Scheduled h</th>
+        <th class="text-end">Verified h</th>
+        <th class="text-end">Credited h</th>
+        <th class="text-end">Missed</th>
+        <th class="text-end">Late</th>
+        <th class="text-end">Excused</th>
+        <th class="text-end">Covered</th>
+        <th class="text-end">Covers taken</th>
+        <th class="text-end">Overrides</th>
+        <th class="text-end">Unrecorded (past)</th>
+        <th class="text-end">Upcoming</th>
+        <th class="text-end">Rate</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${rows
+        .map(
+          (r) => `
+        <tr>
+          <td class="fw-semibold">${r.person}</td>
+          <td class="text-end">${fmtHours(r.scheduledHours)}</td>
+          <td class="text-end">${fmtHours(r.verifiedHours)}</td>
+          <td class="text-end">${fmtHours(r.creditedHours)}</td>
+          <td class="text-end ${r.missedCount ? "text-danger fw-semibold" : ""}">${r.missedCount}</td>
+          <td class="text-end">${r.lateCount}</td>
+          <td class="text-end">${r.excusedCount}</td>
+          <td class="text-end">${r.coveredCount}</td>
+          <td class="text-end">${r.coversTaken}</td>
+          <td class="text-end">${r.overrideCount}</td>
+          <td class="text-end">${r.unrecordedPast}</td>
+          <td class="text-end text-muted">${r.upcoming}</td>
+          <td class="text-end">${fmtRate(r.attendanceRate)}</td>
+        </tr>`
+        )
+        .join("")}
+    </tbody>
+  `;
+
+  document.getElementById("statsTable").appendChild(table);
+}
+
+function wireControls(schedule) {
+  if (wired) return;
+  wired = true;
+
+  const weekSelect = document.getElementById("statsWeekSelect");
+  weekSelect.innerHTML = `<option value="all">Whole season</option>`;
+  scheduleWeeks(schedule).forEach((week, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = `Week ${i + 1}: ${formatWeekRange(week)}`;
+    weekSelect.appendChild(opt);
+  });
+
+  weekSelect.addEventListener("change", renderTable);
+  document.getElementById("statsSortSelect").addEventListener("change", renderTable);
+}
+
+/**
+ * Reload attendance and redraw the stats table.
+ */
+export async function renderStatsDashboard(schedule) {
+  currentSchedule = schedule;
+  wireControls(schedule);
+  cachedRecords = await fetchAllAttendance();
+  renderTable();
+}
@@ -4,13 +4,63 @@
  */
 
 import { createClient } from "https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/+esm";
-import { SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_TABLE } from "./config.js";
+import {
+  SUPABASE_URL,
+  SUPABASE_ANON_KEY,
+  SUPABASE_TABLE,
+  VERIFY_ENDPOINT_URL,
+  LOCAL_VERIFY_ENDPOINT_URL,
+} from "./config.js";
 import { shiftId } from "./schedule.js";
+import { DEFAULT_TENT_ID, tentSettings } from "./tents.js";
 
 export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
+const SWAPS_TABLE = "shift_swaps";
+const SCHEDULE_VERSIONS_TABLE = "schedule_versions";
+const REMINDERS_TABLE = "reminder_subscriptions";
+const HISTORY_TABLE = "attendance_history";
+const ABSENCES_TABLE = "absence_requests";
+const TENTS_TABLE = "tents";
+const TENT_MEMBERS_TABLE = "tent_members";
+
+// Tent the queries below read and write (sql/011_tents.sql).
+let activeTentId = DEFAULT_TENT_ID;
+
+/**
+ * Scope every attendance, swap, absence and schedule query to one tent.
+ */
+export function setActiveTent(tentId) {
+  activeTentId = tentId;
+}
+
+/**
+ * Tents `member` belongs to, as [{ tent, role }] with `tent` from
+ * tentSettings. Site admins (members.role = "admin") get every tent.
+ */
+export async function fetchTentsForMember(member) {
+  if (member.role === "admin") {
+    const { data, error } = await supabase.from(TENTS_TABLE).select("*").order("id");
+    if (error) throw error;
+    return (data ?? []).map((row) => ({ tent: tentSettings(row), role: "admin" }));
+  }
+
+  const { data, error } = await supabase
+    .from(TENT_MEMBERS_TABLE)
+    .select("role,tents(*)")
+    .eq("name", member.name);
+
+  if (error) throw error;
+  return (data ?? [])
+    .filter((r) => r.tents)
+    .map((r) => ({ tent: tentSettings(r.tents), role: r.role }))
+    .sort((a, b) => a.tent.id.localeCompare(b.tent.id));
+}
+
 /**
- * Upsert an attendance record (unique per person+shift_start+shift_end).
+ * Upsert an attendance record (unique per tent+person+shift_start+shift_end).
+ * Admin-only under row-level security; members check in through
+ * verifyAttendance instead.
  */
 export async function upsertAttendance({
   person,
@@ -21,9 +71,13 @@ export async function upsertAttendance({
   overridden = false,
   overrideBy = null,
   overrideAtISO = null,
+  overrideReason = null,
+  lateMinutes = null,
+  coveredBy = null,
 }) {
   const canonicalStartISO = new Date(shiftStartISO).toISOString();
   const payload = {
+    tent_id: activeTentId,
     shift_id: shiftId(person, canonicalStartISO),
     person,
     shift_start: shiftStartISO,
@@ -33,17 +87,91 @@ export async function upsertAttendance({
     overridden,
     override_by: overrideBy,
     override_at: overrideAtISO,
+    override_reason: overrideReason,
+    late_minutes: lateMinutes,
+    covered_by: coveredBy,
   };
 
   const { data, error } = await supabase
     .from(SUPABASE_TABLE)
-    .upsert(payload, { onConflict: "person,shift_start,shift_end" })
+    .upsert(payload, { onConflict: "tent_id,person,shift_start,shift_end" })
     .select();
 
   if (error) throw error;
   return data?.[0] ?? null;
 }
 
+/**
+ * Where check-ins (and swap offers) go: the deployment's <meta name="verify-endpoint">, else
+ * VERIFY_ENDPOINT_URL, else the local server when the site itself is local.
+ * Throws if there's none, or if an HTTPS page would call a plain-HTTP one
+ * (the browser blocks that as mixed content).
+ */
+function verifyEndpointUrl() {
+  const configured =
+    document.querySelector('meta[name="verify-endpoint"]')?.content.trim() || VERIFY_ENDPOINT_URL;
+  const isLocalSite = ["localhost", "127.0.0.1"].includes(location.hostname);
+  const url = configured || (isLocalSite ? LOCAL_VERIFY_ENDPOINT_URL : null);
+
+  if (!url) throw new Error("Check-ins and swap offers aren't set up on this site yet (no verify endpoint). Tell an admin.");
+  if (location.protocol === "https:" && new URL(url, location.href).protocol !== "https:") {
+    throw new Error("The verify endpoint must use HTTPS on this site. Tell an admin.");
+  }
+  return url;
+}
+
+/**
+ * POST `payload` as the signed-in member to `path` ("verify" or "offer") on
+ * the server behind the verify endpoint (scripts/verify_server.mjs).
+ * Throws an error with `offline: true` if it can't be reached.
+ */
+async function postToVerifyServer(path, payload) {
+  const { data } = await supabase.auth.getSession();
+  const token = data.session?.access_token;
+  if (!token) throw Object.assign(new Error("Sign in first."), { offline: !navigator.onLine });
+
+  const url = new URL(path, new URL(verifyEndpointUrl(), location.href));
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+  } catch (e) {
+    throw Object.assign(new Error("No connection to the verify endpoint."), { offline: true, cause: e });
+  }
+
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body.ok) {
+    throw new Error(body.error ?? `Verify endpoint returned ${res.status}`);
+  }
+  return body;
+}
+
+/**
+ * Check in for a shift through the verify endpoint, which re-checks the
+ * window and location policy server-side before writing the `verified` row.
+ * `fix` is the best GPS fix, `samples` the other fixes seen (see geo.js).
+ * `capturedAt` is when the check-in was made, for replays of offline ones;
+ * `tentId` defaults to the active tent.
+ *
+ * Throws an error with `offline: true` if the endpoint can't be reached, and
+ * a plain one if none is configured.
+ */
+export async function verifyAttendance({
+  tentId = activeTentId,
+  shiftStartISO,
+  fix,
+  samples = [],
+  capturedAt = null,
+}) {
+  return postToVerifyServer("verify", { tentId, shiftStartISO, ...fix, samples, capturedAt });
+}
+
 /**
  * Fetch all attendance records for a person (used to label verified/missed in UI).
  */
@@ -51,12 +179,43 @@ export async function fetchAttendanceForPerson(person) {
   const { data, error } = await supabase
     .from(SUPABASE_TABLE)
     .select("*")
+    .eq("tent_id", activeTentId)
     .eq("person", person);
 
   if (error) throw error;
   return data ?? [];
 }
 
+/**
+ * Fetch every attendance record (admin stats).
+ */
+export async function fetchAllAttendance() {
+  const { data, error } = await supabase
+    .from(SUPABASE_TABLE)
+    .select("*")
+    .eq("tent_id", activeTentId)
+    .order("shift_start", { ascending: true });
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Fetch attendance records for specific shifts (team "Now" view).
+ */
+export async function fetchAttendanceForShiftIds(shiftIds) {
+  if (!shiftIds.length) return [];
+
+  const { data, error } = await supabase
+    .from(SUPABASE_TABLE)
+    .select("*")
+    .eq("tent_id", activeTentId)
+    .in("shift_id", shiftIds);
+
+  if (error) throw error;
+  return data ?? [];
+}
+
 /**
  * Fetch newest-first missed shifts (admin view).
  */
@@ -64,6 +223,7 @@ export async function fetchMissedShiftsNewestFirst(limit = 200) {
   const { data, error } = await supabase
     .from(SUPABASE_TABLE)
     .select("*")
+    .eq("tent_id", activeTentId)
     .eq("status", "missed")
     .order("shift_start", { ascending: false })
     .limit(limit);
@@ -73,23 +233,65 @@ export async function fetchMissedShiftsNewestFirst(limit = 200) {
 }
 
 /**
- * Override a missed shift to verified.
+ * Verified check-ins the location policy flagged (borderline distance,
+ * impossible jumps), newest first, for admin review.
  */
-export async function overrideMissedToVerified({ person, shiftStartISO, shiftEndISO, adminName }) {
+export async function fetchFlaggedCheckIns(limit = 100) {
+  const { data, error } = await supabase
+    .from(SUPABASE_TABLE)
+    .select("*")
+    .eq("tent_id", activeTentId)
+    .eq("status", "verified")
+    .not("location_flags", "is", null)
+    .neq("location_flags", "{}")
+    .order("shift_start", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Statuses an admin can set by override (see sql/009_attendance_outcomes.sql).
+ */
+export const OVERRIDE_STATUSES = ["verified", "excused", "late", "covered"];
+
+/**
+ * Override a shift's attendance to `status` (one of OVERRIDE_STATUSES) with
+ * a required `reason`; "late" needs `lateMinutes`, "covered" the substitute
+ * in `coveredBy`. Admin-only (enforced by RLS); the database stamps
+ * override_by with the signed-in admin's roster name.
+ */
+export async function overrideAttendance({
+  person,
+  shiftStartISO,
+  shiftEndISO,
+  status,
+  reason,
+  lateMinutes = null,
+  coveredBy = null,
+  adminName,
+}) {
+  if (!OVERRIDE_STATUSES.includes(status)) throw new Error(`Unknown status "${status}".`);
+  if (!reason?.trim()) throw new Error("Give a reason for the override.");
+  if (status === "late" && !(lateMinutes > 0)) throw new Error("Enter how many minutes late.");
+  if (status === "covered" && !coveredBy) throw new Error("Pick who covered the shift.");
+
   const now = new Date().toISOString();
-  const canonicalStartISO = new Date(shiftStartISO).toISOString();
 
-  // Update existing record (should exist as missed), but upsert for safety.
+  // Update existing record (usually missed), but upsert for safety.
   return upsertAttendance({
-    shift_id: shiftId(person, canonicalStartISO),
     person,
-    shiftStartISO: shiftStartISO,
-    shiftEndISO: shiftEndISO,
-    status: "verified",
-    verifiedAtISO: now,
+    shiftStartISO,
+    shiftEndISO,
+    status,
+    verifiedAtISO: status === "verified" ? now : null,
     overridden: true,
     overrideBy: adminName,
     overrideAtISO: now,
+    overrideReason: reason.trim(),
+    lateMinutes: status === "late" ? lateMinutes : null,
+    coveredBy: status === "covered" ? coveredBy : null,
   });
 }
 
@@ -107,3 +309,265 @@ export async function fetchLastSweepTime() {
   return new Date(data.last_run);
 }
 
+/**
+ * Fetch swaps that are open or in effect, oldest first (the order
+ * applySwaps expects).
+ */
+export async function fetchSwaps() {
+  const { data, error } = await supabase
+    .from(SWAPS_TABLE)
+    .select("*")
+    .eq("tent_id", activeTentId)
+    .in("status", ["offered", "accepted", "approved"])
+    .order("offered_at", { ascending: true });
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Offer one of the signed-in member's shifts to the rest of the roster.
+ * Goes through the verify endpoint's server, which only accepts shifts on
+ * their current schedule (sql/014_swap_offer_check.sql).
+ */
+export async function offerShift(shift) {
+  const body = await postToVerifyServer("offer", { tentId: activeTentId, shiftStartISO: shift.start.toISOString() });
+  return body.swap;
+}
+
+/**
+ * Withdraw an offer. Only succeeds while nobody has taken it yet.
+ */
+export async function cancelSwap(swapId) {
+  const { data, error } = await supabase
+    .from(SWAPS_TABLE)
+    .update({ status: "cancelled" })
+    .eq("id", swapId)
+    .eq("status", "offered")
+    .select();
+
+  if (error) throw error;
+  if (!data?.length) throw new Error("That offer was already taken or withdrawn.");
+  return data[0];
+}
+
+/**
+ * Take an offered shift. Only succeeds while the offer is still open.
+ */
+export async function acceptSwap(swapId, person) {
+  const { data, error } = await supabase
+    .from(SWAPS_TABLE)
+    .update({ status: "accepted", to_person: person, accepted_at: new Date().toISOString() })
+    .eq("id", swapId)
+    .eq("status", "offered")
+    .select();
+
+  if (error) throw error;
+  if (!data?.length) throw new Error("That offer was already taken or withdrawn.");
+  return data[0];
+}
+
+/**
+ * Admin decision on an accepted swap: "approved" or "denied". Only succeeds
+ * while the swap is still waiting for a decision.
+ */
+export async function decideSwap(swapId, status, adminName) {
+  const { data, error } = await supabase
+    .from(SWAPS_TABLE)
+    .update({ status, decided_by: adminName, decided_at: new Date().toISOString() })
+    .eq("id", swapId)
+    .eq("status", "accepted")
+    .select();
+
+  if (error) throw error;
+  if (!data?.length) throw new Error("That swap was already decided or withdrawn.");
+  return data[0];
+}
+
+/**
+ * Absence requests that are pending, approved or denied, oldest first.
+ * RLS limits members to their own; admins see everyone's.
+ */
+export async function fetchAbsenceRequests() {
+  const { data, error } = await supabase
+    .from(ABSENCES_TABLE)
+    .select("*")
+    .eq("tent_id", activeTentId)
+    .in("status", ["requested", "approved", "denied"])
+    .order("requested_at", { ascending: true });
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Ask to be excused from one of the signed-in member's upcoming shifts.
+ */
+export async function requestAbsence(shift, reason) {
+  if (!reason?.trim()) throw new Error("Give a reason for the absence.");
+
+  const { data, error } = await supabase
+    .from(ABSENCES_TABLE)
+    .insert({
+      tent_id: activeTentId,
+      shift_id: shift.shiftId,
+      person: shift.person,
+      shift_start: shift.start.toISOString(),
+      shift_end: shift.end.toISOString(),
+      reason: reason.trim(),
+    })
+    .select();
+
+  if (error) throw error;
+  return data?.[0] ?? null;
+}
+
+/**
+ * Withdraw an absence request. Only succeeds while it is still undecided.
+ */
+export async function cancelAbsenceRequest(requestId) {
+  const { data, error } = await supabase
+    .from(ABSENCES_TABLE)
+    .update({ status: "cancelled" })
+    .eq("id", requestId)
+    .eq("status", "requested")
+    .select();
+
+  if (error) throw error;
+  if (!data?.length) throw new Error("That request was already decided or withdrawn.");
+  return data[0];
+}
+
+/**
+ * Admin decision on an absence request: "approved" or "denied". Only
+ * succeeds while the request is still undecided.
+ */
+export async function decideAbsenceRequest(requestId, status, adminName) {
+  const { data, error } = await supabase
+    .from(ABSENCES_TABLE)
+    .update({ status, decided_by: adminName, decided_at: new Date().toISOString() })
+    .eq("id", requestId)
+    .eq("status", "requested")
+    .select();
+
+  if (error) throw error;
+  if (!data?.length) throw new Error("That request was already decided or withdrawn.");
+  return data[0];
+}
+
+/**
+ * CSV text of the newest schedule saved from the editor, or null if none
+ * (callers then fall back to data/schedule.csv).
+ */
+export async function fetchLatestScheduleCSV() {
+  const { data, error } = await supabase
+    .from(SCHEDULE_VERSIONS_TABLE)
+    .select("csv")
+    .eq("tent_id", activeTentId)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.csv ?? null;
+}
+
+/**
+ * Save an edited schedule as the new current version (admin-only).
+ */
+export async function saveScheduleVersion({ csv, note = null, adminName }) {
+  const { error } = await supabase
+    .from(SCHEDULE_VERSIONS_TABLE)
+    .insert({ tent_id: activeTentId, csv, note, created_by: adminName });
+
+  if (error) throw error;
+}
+
+/**
+ * The signed-in member's reminder subscriptions (RLS limits rows to them)
+ * in `tentId`, or in every tent when it is null.
+ */
+export async function fetchReminderSubscriptions({ tentId = activeTentId } = {}) {
+  let query = supabase.from(REMINDERS_TABLE).select("id,tent_id,channel,target,lead_minutes");
+  if (tentId) query = query.eq("tent_id", tentId);
+  const { data, error } = await query.order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Add (or update the lead time of) a reminder subscription for the active
+ * tent's shifts.
+ */
+export async function saveReminderSubscription({ person, channel, target, pushKeys = null, leadMinutes }) {
+  const { error } = await supabase
+    .from(REMINDERS_TABLE)
+    .upsert(
+      { tent_id: activeTentId, person, channel, target, push_keys: pushKeys, lead_minutes: leadMinutes },
+      { onConflict: "tent_id,person,channel,target" }
+    );
+
+  if (error) throw error;
+}
+
+/**
+ * Change the lead time on all of `person`'s reminder subscriptions in the
+ * active tent.
+ */
+export async function updateReminderLeadMinutes(person, leadMinutes) {
+  const { error } = await supabase
+    .from(REMINDERS_TABLE)
+    .update({ lead_minutes: leadMinutes })
+    .eq("tent_id", activeTentId)
+    .eq("person", person);
+
+  if (error) throw error;
+}
+
+export async function deleteReminderSubscription(id) {
+  const { error } = await supabase.from(REMINDERS_TABLE).delete().eq("id", id);
+  if (error) throw error;
+}
+
+/**
+ * Every recorded change to a shift's attendance, oldest first (admin-only).
+ */
+export async function fetchAttendanceHistory(shiftIdValue) {
+  const { data, error } = await supabase
+    .from(HISTORY_TABLE)
+    .select("id,old_status,new_status,source,changed_by,changed_at")
+    .eq("tent_id", activeTentId)
+    .eq("shift_id", shiftIdValue)
+    .order("id", { ascending: true });
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Shifts an admin overrode, most recent override first.
+ */
+export async function fetchOverriddenShifts(limit = 100) {
+  const { data, error } = await supabase
+    .from(SUPABASE_TABLE)
+    .select("*")
+    .eq("tent_id", activeTentId)
+    .eq("overridden", true)
+    .order("override_at", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Put a shift back to its state before the latest admin override.
+ */
+export async function undoOverride(shiftIdValue) {
+  const { error } = await supabase.rpc("undo_attendance_override", {
+    p_tent_id: activeTentId,
+    p_shift_id: shiftIdValue,
+  });
+  if (error) throw error;
+}
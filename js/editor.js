@@ -0,0 +1,313 @@
+/**
+ * Admin schedule editor: a time × person grid over the schedule.
+ *
+ * - Click or drag across cells to paint them on/off
+ * - Insert or remove time rows, add or remove members
+ * - Review shows which shifts each person gains or loses
+ * - Save stores the CSV in `schedule_versions` (which the site, verify
+ *   endpoint and sweep load ahead of data/schedule.csv), or download it to
+ *   commit by hand
+ *
+ * Edits the published schedule, not the swap overlay.
+ */
+
+import { saveScheduleVersion } from "./db.js";
+import {
+  diffSchedules,
+  serializeScheduleCSV,
+  scheduleWeeks,
+  scheduleTimeZone,
+  formatWeekRange,
+  formatDateTime,
+} from "./schedule.js";
+import { parseScheduleCSV, formatScheduleTime } from "./schedule_core.js";
+import { parseZonedDateTime } from "./timezone.js";
+import { clearChildren, downloadFile, showToast } from "./ui.js";
+
+let base = null; // schedule as loaded
+let working = null; // { people, timeline } being edited
+let weeks = [];
+let paintValue = null;
+let reviewed = false;
+let adminName = null;
+
+function cloneSchedule({ people, timeline }) {
+  return {
+    people: [...people],
+    timeline: timeline.map((row) => ({ time: row.time, flags: { ...row.flags } })),
+  };
+}
+
+/**
+ * Rebuild the week picker from the working rows, keeping the selected week
+ * if it still exists. With every row removed only "All rows" is left.
+ */
+function renderWeekOptions() {
+  weeks = scheduleWeeks(working);
+
+  const weekSelect = document.getElementById("editorWeekSelect");
+  const selected = weekSelect.value;
+  weekSelect.innerHTML = "";
+  weeks.forEach((week, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = `Week ${i + 1}: ${formatWeekRange(week)}`;
+    weekSelect.appendChild(opt);
+  });
+  weekSelect.insertAdjacentHTML("beforeend", `<option value="all">All rows</option>`);
+  if ([...weekSelect.options].some((opt) => opt.value === selected)) weekSelect.value = selected;
+}
+
+function markEdited() {
+  reviewed = false;
+  document.getElementById("editorSaveBtn").disabled = true;
+  clearChildren("editorDiff");
+
+  // An empty schedule can't be reviewed, saved or exported.
+  const empty = !working.timeline.length;
+  document.getElementById("editorReviewBtn").disabled = empty;
+  document.getElementById("editorDownloadBtn").disabled = empty;
+}
+
+function visibleRowIndexes() {
+  const value = document.getElementById("editorWeekSelect").value;
+  const indexes = working.timeline.map((_, i) => i);
+  if (value === "all") return indexes;
+
+  const { start, end } = weeks[Number(value)];
+  return indexes.filter((i) => working.timeline[i].time >= start && working.timeline[i].time < end);
+}
+
+function renderGrid() {
+  clearChildren("editorGrid");
+
+  const table = document.createElement("table");
+  table.className = "table table-sm table-bordered editor-table mb-0";
+
+  const head = working.people
+    .map(
+      (p, col) => `
+        <th class="text-center">
+          ${p}
+          <button class="btn btn-link btn-sm p-0 text-danger" data-remove-col="${col}" title="Remove ${p}">×</button>
+        </th>`
+    )
+    .join("");
+
+  const body = visibleRowIndexes()
+    .map((i) => {
+      const row = working.timeline[i];
+      const cells = working.people
+        .map(
+          (p, col) =>
+            `<td class="editor-cell ${row.flags[p] ? "on" : ""}" data-row="${i}" data-col="${col}"></td>`
+        )
+        .join("");
+      return `
+        <tr>
+          <th class="text-nowrap small">
+            <button class="btn btn-link btn-sm p-0 text-danger" data-remove-row="${i}" title="Remove row">×</button>
+            ${formatScheduleTime(row.time, scheduleTimeZone())}
+          </th>
+          ${cells}
+        </tr>`;
+    })
+    .join("");
+
+  table.innerHTML = `<thead><tr><th>Time</th>${head}</tr></thead><tbody>${body}</tbody>`;
+  document.getElementById("editorGrid").appendChild(table);
+}
+
+function paint(cell) {
+  const row = working.timeline[Number(cell.dataset.row)];
+  const person = working.people[Number(cell.dataset.col)];
+  if (row.flags[person] === paintValue) return;
+
+  row.flags[person] = paintValue;
+  cell.classList.toggle("on", paintValue);
+  markEdited();
+}
+
+function wireGrid() {
+  const grid = document.getElementById("editorGrid");
+
+  grid.addEventListener("pointerdown", (e) => {
+    const cell = e.target.closest("td.editor-cell");
+    if (!cell) return;
+    e.preventDefault();
+    paintValue = !cell.classList.contains("on");
+    paint(cell);
+  });
+
+  grid.addEventListener("pointermove", (e) => {
+    if (paintValue === null) return;
+    const cell = document.elementFromPoint(e.clientX, e.clientY)?.closest("td.editor-cell");
+    if (cell) paint(cell);
+  });
+
+  document.addEventListener("pointerup", () => {
+    paintValue = null;
+  });
+
+  grid.addEventListener("click", (e) => {
+    const removeRow = e.target.closest("[data-remove-row]");
+    if (removeRow) {
+      working.timeline.splice(Number(removeRow.dataset.removeRow), 1);
+      markEdited();
+      renderWeekOptions();
+      renderGrid();
+      return;
+    }
+
+    const removeCol = e.target.closest("[data-remove-col]");
+    if (removeCol) {
+      const person = working.people[Number(removeCol.dataset.removeCol)];
+      if (!confirm(`Remove ${person} and all of their shifts?`)) return;
+      working.people = working.people.filter((p) => p !== person);
+      for (const row of working.timeline) delete row.flags[person];
+      markEdited();
+      renderGrid();
+    }
+  });
+}
+
+/**
+ * New rows copy the previous row's flags, so inserting a time splits a
+ * shift boundary without changing anyone's shifts until cells are painted.
+ */
+function addRow() {
+  const time = parseZonedDateTime(document.getElementById("editorNewTimeInput").value, scheduleTimeZone());
+  if (!time) {
+    showToast("Pick a date and time for the new row.", "warning");
+    return;
+  }
+  if (working.timeline.some((row) => row.time.getTime() === time.getTime())) {
+    showToast(`There is already a row at ${formatScheduleTime(time, scheduleTimeZone())}.`, "warning");
+    return;
+  }
+
+  const index = working.timeline.findIndex((row) => row.time > time);
+  const at = index === -1 ? working.timeline.length : index;
+  const prev = working.timeline[at - 1];
+  const flags = {};
+  for (const p of working.people) flags[p] = prev ? !!prev.flags[p] : false;
+
+  working.timeline.splice(at, 0, { time, flags });
+  markEdited();
+  renderWeekOptions();
+  renderGrid();
+}
+
+function addMember() {
+  const input = document.getElementById("editorNewMemberInput");
+  const name = input.value.trim();
+  if (!name) return;
+  if (working.people.some((p) => p.toLowerCase() === name.toLowerCase())) {
+    showToast(`${name} is already on the schedule.`, "warning");
+    return;
+  }
+
+  working.people.push(name);
+  for (const row of working.timeline) row.flags[name] = false;
+  input.value = "";
+  markEdited();
+  renderGrid();
+}
+
+function editedCSV() {
+  return serializeScheduleCSV(working, Papa, { timeZone: scheduleTimeZone() });
+}
+
+function shiftLine(s, sign) {
+  return `<li><span class="${sign === "+" ? "text-success" : "text-danger"}">${sign}</span>
+    ${formatDateTime(s.start)} → ${formatDateTime(s.end)}</li>`;
+}
+
+function review() {
+  // Diff what will actually be saved, parsed back the way the loader will.
+  const after = parseScheduleCSV(editedCSV(), Papa, { timeZone: scheduleTimeZone() });
+  const diff = diffSchedules(base, after);
+
+  clearChildren("editorDiff");
+  const container = document.getElementById("editorDiff");
+  const people = Object.keys(diff).sort();
+
+  if (!people.length) {
+    container.innerHTML = `<div class="text-muted">No shift changes.</div>`;
+  }
+
+  for (const person of people) {
+    const { gained, lost } = diff[person];
+    const item = document.createElement("div");
+    item.className = "list-group-item";
+    item.innerHTML = `
+      <div class="fw-semibold">${person}
+        <span class="small text-muted">(+${gained.length} / −${lost.length})</span>
+      </div>
+      <ul class="small mb-0">
+        ${lost.map((s) => shiftLine(s, "−")).join("")}
+        ${gained.map((s) => shiftLine(s, "+")).join("")}
+      </ul>
+    `;
+    container.appendChild(item);
+  }
+
+  reviewed = true;
+  document.getElementById("editorSaveBtn").disabled = false;
+}
+
+async function save(btn) {
+  if (!reviewed) return;
+  try {
+    btn.disabled = true;
+    await saveScheduleVersion({
+      csv: editedCSV(),
+      note: document.getElementById("editorNoteInput").value.trim() || null,
+      adminName,
+    });
+    showToast("Schedule saved. Reloading…", "success");
+    setTimeout(() => location.reload(), 1000);
+  } catch (e) {
+    console.error(e);
+    showToast(`Save failed: ${e.message ?? e}`, "danger");
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Set up the editor on the admin panel for `schedule` (without swaps).
+ */
+export function initScheduleEditor(schedule, admin) {
+  base = schedule;
+  working = cloneSchedule(schedule);
+  adminName = admin;
+
+  renderWeekOptions();
+  document.getElementById("editorWeekSelect").addEventListener("change", renderGrid);
+
+  wireGrid();
+  document.getElementById("editorAddRowBtn").addEventListener("click", addRow);
+  document.getElementById("editorAddMemberBtn").addEventListener("click", addMember);
+  document.getElementById("editorReviewBtn").addEventListener("click", review);
+
+  const saveBtn = document.getElementById("editorSaveBtn");
+  saveBtn.addEventListener("click", () => save(saveBtn));
+
+  document.getElementById("editorDownloadBtn").addEventListener("click", () => {
+    downloadFile("schedule.csv", editedCSV(), "text/csv");
+  });
+
+  renderGrid();
+}
+
+/**
+ * Replace the grid with `schedule` (e.g. a generated one) for review; the
+ * diff is still against the schedule the editor was opened with.
+ */
+export function loadIntoEditor(schedule) {
+  working = cloneSchedule(schedule);
+  renderWeekOptions();
+  markEdited();
+  renderGrid();
+  document.getElementById("editorGrid").scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
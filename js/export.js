@@ -0,0 +1,66 @@
+/**
+ * Attendance export (environment-neutral): one row per computed shift,
+ * joined with its `attendance` record, as CSV or JSON.
+ *
+ * Used by the admin panel and scripts/export_attendance.mjs.
+ */
+
+export const EXPORT_COLUMNS = [
+  "person",
+  "start",
+  "end",
+  "duration_hours",
+  "status",
+  "verified_at",
+  "overridden",
+  "override_by",
+  "override_at",
+  "override_reason",
+  "late_minutes",
+  "covered_by",
+];
+
+/**
+ * Rows for shifts starting in [rangeStart, rangeEnd) (either bound optional),
+ * ordered by start time, then person. Shifts with no record are "unrecorded".
+ */
+export function buildExportRows({ shifts, records, rangeStart = null, rangeEnd = null }) {
+  const byId = new Map(records.map((r) => [r.shift_id, r]));
+
+  return shifts
+    .filter((s) => (!rangeStart || s.start >= rangeStart) && (!rangeEnd || s.start < rangeEnd))
+    .sort((a, b) => a.start - b.start || a.person.localeCompare(b.person))
+    .map((s) => {
+      const rec = byId.get(s.shiftId);
+      return {
+        person: s.person,
+        start: s.start.toISOString(),
+        end: s.end.toISOString(),
+        duration_hours: Math.round(((s.end - s.start) / 3600000) * 100) / 100,
+        status: rec?.status ?? "unrecorded",
+        verified_at: rec?.verified_at ?? null,
+        overridden: !!rec?.overridden,
+        override_by: rec?.override_by ?? null,
+        override_at: rec?.override_at ?? null,
+        override_reason: rec?.override_reason ?? null,
+        late_minutes: rec?.late_minutes ?? null,
+        covered_by: rec?.covered_by ?? null,
+      };
+    });
+}
+
+export function exportToCSV(rows, papa) {
+  return papa.unparse(rows, { columns: EXPORT_COLUMNS });
+}
+
+export function exportToJSON(rows) {
+  return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * File name like "attendance_2026-02-01_2026-02-08.csv".
+ */
+export function exportFileName({ rangeStart, rangeEnd, format }) {
+  const day = (d) => (d ? d.toISOString().slice(0, 10) : "all");
+  return `attendance_${day(rangeStart)}_${day(rangeEnd)}.${format}`;
+}
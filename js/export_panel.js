@@ -0,0 +1,83 @@
+/**
+ * Admin export panel: download attendance for a week or custom dates
+ * as CSV or JSON (see export.js).
+ */
+
+import { fetchAllAttendance } from "./db.js";
+import { buildExportRows, exportToCSV, exportToJSON, exportFileName } from "./export.js";
+import { scheduleWeeks, scheduleTimeZone, formatWeekRange } from "./schedule.js";
+import { addZonedDays, startOfZonedDay } from "./timezone.js";
+import { downloadFile, setVisible, showToast } from "./ui.js";
+
+function selectedRange(schedule) {
+  const value = document.getElementById("exportRangeSelect").value;
+
+  if (value === "all") return { rangeStart: null, rangeEnd: null };
+
+  if (value === "custom") {
+    const timeZone = scheduleTimeZone();
+    const from = startOfZonedDay(document.getElementById("exportFromInput").value, timeZone);
+    const to = startOfZonedDay(document.getElementById("exportToInput").value, timeZone);
+    return {
+      rangeStart: from,
+      // "To" is inclusive: export through the end of that day.
+      rangeEnd: to ? addZonedDays(to, 1, timeZone) : null,
+    };
+  }
+
+  const { start, end } = scheduleWeeks(schedule)[Number(value)];
+  return { rangeStart: start, rangeEnd: end };
+}
+
+async function runExport(schedule, format) {
+  const range = selectedRange(schedule);
+  const records = await fetchAllAttendance();
+  const rows = buildExportRows({ shifts: schedule.shifts, records, ...range });
+
+  if (!rows.length) {
+    showToast("No shifts in that range.", "warning");
+    return;
+  }
+
+  const filename = exportFileName({ ...range, format });
+  if (format === "csv") {
+    downloadFile(filename, exportToCSV(rows, Papa), "text/csv");
+  } else {
+    downloadFile(filename, exportToJSON(rows), "application/json");
+  }
+}
+
+/**
+ * `getSchedule` returns the current schedule (with swaps applied) at click time.
+ */
+export function wireExportPanel(getSchedule) {
+  const schedule = getSchedule();
+  const rangeSelect = document.getElementById("exportRangeSelect");
+  rangeSelect.innerHTML = `<option value="all">Whole season</option>`;
+  scheduleWeeks(schedule).forEach((week, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = `Week ${i + 1}: ${formatWeekRange(week)}`;
+    rangeSelect.appendChild(opt);
+  });
+  rangeSelect.insertAdjacentHTML("beforeend", `<option value="custom">Custom dates…</option>`);
+
+  rangeSelect.addEventListener("change", () => {
+    setVisible("exportCustomRange", rangeSelect.value === "custom");
+  });
+
+  for (const format of ["csv", "json"]) {
+    const btn = document.getElementById(format === "csv" ? "exportCsvBtn" : "exportJsonBtn");
+    btn.addEventListener("click", async () => {
+      try {
+        btn.disabled = true;
+        await runExport(getSchedule(), format);
+      } catch (e) {
+        console.error(e);
+        showToast(`Export failed: ${e.message ?? e}`, "danger");
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  }
+}
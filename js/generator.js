@@ -0,0 +1,202 @@
+/**
+ * Schedule generator (environment-neutral): builds a { people, timeline }
+ * schedule from member availability that meets the day/night headcount and
+ * balances total and night hours across people.
+ *
+ * Availability input (JSON):
+ *   {
+ *     "start": "2026-01-28T07:00",        // wall-clock, the tent's time zone
+ *     "end": "2026-02-28T07:00",
+ *     "slotMinutes": 30,                  // optional, default 30
+ *     "headcount": { "day": 1, "night": 6 },  // optional, defaults from the tent
+ *     "maxShiftHours": { "day": 4, "night": 8 }, // optional
+ *     "members": {
+ *       "Alex": {
+ *         "available": [{ "days": ["Mon", "Wed"], "from": "08:00", "to": "12:00" }],
+ *         "blackouts": [{ "from": "2026-02-14T18:00", "to": "2026-02-15T10:00" }]
+ *       }
+ *     }
+ *   }
+ *
+ * `available` lists weekly windows (a member without it is always available).
+ * `blackouts` entries are either weekly ({ days, from, to } as HH:MM) or
+ * dated ({ from, to } as YYYY-MM-DDTHH:MM); a weekly window whose `to` is
+ * not after `from` runs past midnight.
+ */
+
+import { isNightTime } from "./coverage.js";
+import { DEFAULT_TENT } from "./tents.js";
+import { parseZonedDateTime, zonedParts } from "./timezone.js";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function fail(message) {
+  throw new Error(`Availability: ${message}`);
+}
+
+function parseDateTime(str, what, timeZone) {
+  const d = parseZonedDateTime(str, timeZone);
+  if (!d || !String(str).includes("T")) fail(`${what} must be YYYY-MM-DDTHH:MM (got "${str}").`);
+  return d;
+}
+
+function parseClock(str, what) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(str ?? "").trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) fail(`${what} must be HH:MM (got "${str}").`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function parseWindow(entry, what, timeZone) {
+  if (Array.isArray(entry.days)) {
+    const days = entry.days.map((d) => {
+      const i = WEEKDAYS.findIndex((w) => w.toLowerCase() === String(d).slice(0, 3).toLowerCase());
+      if (i === -1) fail(`${what}: unknown day "${d}".`);
+      return i;
+    });
+    return {
+      weekly: true,
+      days: new Set(days),
+      from: parseClock(entry.from, `${what} from`),
+      to: parseClock(entry.to, `${what} to`),
+    };
+  }
+
+  const from = parseDateTime(entry.from, `${what} from`, timeZone);
+  const to = parseDateTime(entry.to, `${what} to`, timeZone);
+  if (to <= from) fail(`${what}: "to" must be after "from".`);
+  return { weekly: false, from, to };
+}
+
+/**
+ * Validate and normalize availability JSON (object or string) for `tent`
+ * (tents.js): times are read in its time zone and the headcount defaults to
+ * its tent-check minimums. The result carries the tent and its time zone on
+ * to generateSchedule. Throws an Error describing the first problem found.
+ */
+export function parseAvailability(input, tent = DEFAULT_TENT) {
+  const raw = typeof input === "string" ? JSON.parse(input) : input;
+  if (!raw || typeof raw !== "object") fail("expected a JSON object.");
+
+  const { timeZone } = tent;
+  const start = parseDateTime(raw.start, "start", timeZone);
+  const end = parseDateTime(raw.end, "end", timeZone);
+  if (end <= start) fail("end must be after start.");
+
+  const slotMinutes = Number(raw.slotMinutes ?? 30);
+  if (!Number.isInteger(slotMinutes) || slotMinutes <= 0) fail("slotMinutes must be a positive integer.");
+
+  const headcount = {
+    day: Number(raw.headcount?.day ?? tent.tentCheckMinDay),
+    night: Number(raw.headcount?.night ?? tent.tentCheckMinNight),
+  };
+  const maxShiftHours = {
+    day: Number(raw.maxShiftHours?.day ?? 4),
+    night: Number(raw.maxShiftHours?.night ?? 8),
+  };
+
+  const names = Object.keys(raw.members ?? {});
+  if (!names.length) fail("no members.");
+
+  const members = names.map((name) => {
+    const m = raw.members[name] ?? {};
+    return {
+      name,
+      available: m.available ? m.available.map((w, i) => parseWindow(w, `${name} available[${i}]`, timeZone)) : null,
+      blackouts: (m.blackouts ?? []).map((w, i) => parseWindow(w, `${name} blackouts[${i}]`, timeZone)),
+    };
+  });
+
+  return { tent, timeZone, start, end, slotMinutes, headcount, maxShiftHours, members };
+}
+
+function windowCovers(w, slotStart, slotEnd, timeZone) {
+  if (!w.weekly) return w.from < slotEnd && w.to > slotStart;
+
+  const { weekday, hour, minute } = zonedParts(slotStart, timeZone);
+  const mins = hour * 60 + minute;
+  if (w.to > w.from) return w.days.has(weekday) && mins >= w.from && mins < w.to;
+
+  // Overnight window: the evening part on a listed day, or the morning after.
+  return (w.days.has(weekday) && mins >= w.from) || (w.days.has((weekday + 6) % 7) && mins < w.to);
+}
+
+function isAvailable(member, slotStart, slotEnd, timeZone) {
+  if (member.blackouts.some((w) => windowCovers(w, slotStart, slotEnd, timeZone))) return false;
+  if (!member.available) return true;
+  // Weekly availability is judged by the slot start; blackouts block on any overlap.
+  return member.available.some((w) => windowCovers(w, slotStart, slotEnd, timeZone));
+}
+
+/**
+ * Greedy fill, slot by slot: whoever is already on keeps going so shifts
+ * stay in blocks, then the people with the fewest night hours (night slots)
+ * and total hours are picked. The max shift length is a hard limit: someone
+ * whose shift has reached the current slot's limit sits that slot out even
+ * if it leaves the slot short, so every shift passes the validator
+ * (schedule_lint.js) at the larger of the day and night limits.
+ *
+ * Returns { people, timeline, unfilled, hours } where unfilled is
+ * [{ start, end, required, assigned }] (merged consecutive short slots) and
+ * hours is { [person]: { total, night } }.
+ *
+ * Night hours and weekly windows are those of the tent parseAvailability
+ * read the availability for.
+ */
+export function generateSchedule(availability) {
+  const { tent, timeZone, start, end, slotMinutes, headcount, maxShiftHours, members } = availability;
+  const slotMs = slotMinutes * 60 * 1000;
+  const slotHours = slotMinutes / 60;
+
+  const people = members.map((m) => m.name);
+  const hours = Object.fromEntries(people.map((p) => [p, { total: 0, night: 0 }]));
+  const run = Object.fromEntries(people.map((p) => [p, 0])); // consecutive slots so far
+
+  const timeline = [];
+  const unfilled = [];
+
+  for (let t = start.getTime(); t < end.getTime(); t += slotMs) {
+    const slotStart = new Date(t);
+    const slotEnd = new Date(Math.min(t + slotMs, end.getTime()));
+    const night = isNightTime(slotStart, tent);
+    const required = night ? headcount.night : headcount.day;
+    const maxRunSlots = Math.round(((night ? maxShiftHours.night : maxShiftHours.day) * 60) / slotMinutes);
+
+    const candidates = members
+      .filter((m) => run[m.name] < maxRunSlots && isAvailable(m, slotStart, slotEnd, timeZone))
+      .map((m) => m.name)
+      .sort((a, b) => {
+        const contA = run[a] > 0 ? 0 : 1;
+        const contB = run[b] > 0 ? 0 : 1;
+        if (contA !== contB) return contA - contB;
+        if (night && hours[a].night !== hours[b].night) return hours[a].night - hours[b].night;
+        if (hours[a].total !== hours[b].total) return hours[a].total - hours[b].total;
+        return a.localeCompare(b);
+      });
+
+    const chosen = new Set(candidates.slice(0, required));
+    const flags = {};
+    for (const p of people) {
+      flags[p] = chosen.has(p);
+      run[p] = flags[p] ? run[p] + 1 : 0;
+      if (flags[p]) {
+        hours[p].total += slotHours;
+        if (night) hours[p].night += slotHours;
+      }
+    }
+    timeline.push({ time: slotStart, flags });
+
+    if (chosen.size < required) {
+      const last = unfilled[unfilled.length - 1];
+      if (last && last.end.getTime() === t && last.required === required && last.assigned === chosen.size) {
+        last.end = slotEnd;
+      } else {
+        unfilled.push({ start: slotStart, end: slotEnd, required, assigned: chosen.size });
+      }
+    }
+  }
+
+  // Closing row so the last slot's shifts end at `end`.
+  timeline.push({ time: new Date(end), flags: Object.fromEntries(people.map((p) => [p, false])) });
+
+  return { people, timeline, unfilled, hours };
+}
@@ -0,0 +1,78 @@
+/**
+ * Admin generator panel: build a schedule from an availability JSON file
+ * (see generator.js), show hours and unfilled slots, then open it in the
+ * schedule editor for review/saving or download it as schedule.csv.
+ */
+
+import { generateSchedule, parseAvailability } from "./generator.js";
+import { loadIntoEditor } from "./editor.js";
+import { formatDateTime, scheduleTimeZone, serializeScheduleCSV } from "./schedule.js";
+import { clearChildren, downloadFile, setVisible, showToast } from "./ui.js";
+
+let tent = null;
+let result = null;
+
+function renderResult() {
+  clearChildren("generatorResult");
+  const container = document.getElementById("generatorResult");
+
+  const hoursRows = result.people
+    .map((p) => `<tr><td>${p}</td><td>${result.hours[p].total}</td><td>${result.hours[p].night}</td></tr>`)
+    .join("");
+
+  const unfilled = result.unfilled.length
+    ? `<div class="text-danger fw-semibold mt-2">Could not fill ${result.unfilled.length} window(s):</div>
+       <ul class="small mb-0">
+         ${result.unfilled
+           .map(
+             (w) => `<li>${formatDateTime(w.start)} → ${formatDateTime(w.end)}: ${w.assigned}/${w.required} people</li>`
+           )
+           .join("")}
+       </ul>`
+    : `<div class="text-success mt-2">Every slot meets the headcount.</div>`;
+
+  container.innerHTML = `
+    <table class="table table-sm mb-0">
+      <thead><tr><th>Person</th><th>Hours</th><th>Night hours</th></tr></thead>
+      <tbody>${hoursRows}</tbody>
+    </table>
+    ${unfilled}
+  `;
+}
+
+async function generate() {
+  const file = document.getElementById("generatorFileInput").files[0];
+  if (!file) {
+    showToast("Choose an availability JSON file first.", "warning");
+    return;
+  }
+
+  try {
+    result = generateSchedule(parseAvailability(await file.text(), tent));
+  } catch (e) {
+    console.error(e);
+    result = null;
+    setVisible("generatorActions", false);
+    showToast(e.message ?? String(e), "danger");
+    return;
+  }
+
+  renderResult();
+  setVisible("generatorActions", true);
+}
+
+/**
+ * `activeTent` (tents.js) sets the time zone and default headcount.
+ */
+export function wireGeneratorPanel(activeTent) {
+  tent = activeTent;
+  document.getElementById("generatorRunBtn").addEventListener("click", generate);
+
+  document.getElementById("generatorOpenBtn").addEventListener("click", () => {
+    if (result) loadIntoEditor(result);
+  });
+
+  document.getElementById("generatorDownloadBtn").addEventListener("click", () => {
+    if (result) downloadFile("schedule.csv", serializeScheduleCSV(result, Papa, { timeZone: scheduleTimeZone() }), "text/csv");
+  });
+}
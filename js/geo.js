@@ -1,8 +1,24 @@
 /**
- * Geolocation + distance math.
+ * Geolocation + distance math, and the location policy for check-ins.
+ *
+ * Only getCurrentPosition/acquireBestFix touch browser APIs; the math and
+ * evaluateLocation are also imported by the verify endpoint
+ * (scripts/verify_server.mjs).
+ *
+ * A "fix" is { latitude, longitude, accuracy, timestamp } with accuracy in
+ * meters (68% radius, as reported by the Geolocation API) and timestamp in ms.
  */
 
-import { MAX_DISTANCE_METERS, TARGET_COORD } from "./config.js";
+import {
+  GEOFENCE,
+  GEOFENCE_BUFFER_METERS,
+  GEOFENCE_BORDERLINE_MAX_METERS,
+  TARGET_COORD,
+  GPS_MAX_ACCURACY_METERS,
+  GPS_GOOD_ACCURACY_METERS,
+  GPS_FIX_DEADLINE_MS,
+  MAX_PLAUSIBLE_SPEED_MPS,
+} from "./config.js";
 
 export function haversineMeters(lat1, lon1, lat2, lon2) {
   const toRad = (d) => (d * Math.PI) / 180;
@@ -18,6 +34,88 @@ export function haversineMeters(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+/**
+ * Polygons of a GeoJSON geofence, each as an array of rings
+ * ([outer, ...holes], ring = [[lon, lat], ...]).
+ */
+export function geofencePolygons(geojson) {
+  if (!geojson) return [];
+  switch (geojson.type) {
+    case "FeatureCollection":
+      return geojson.features.flatMap((f) => geofencePolygons(f));
+    case "Feature":
+      return geofencePolygons(geojson.geometry);
+    case "Polygon":
+      return [geojson.coordinates];
+    case "MultiPolygon":
+      return geojson.coordinates;
+    default:
+      throw new Error(`Unsupported geofence type: ${geojson.type}`);
+  }
+}
+
+// Ray casting; points exactly on an edge may land either way, which the
+// edge-distance buffer makes irrelevant.
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function pointInPolygon(lon, lat, polygon) {
+  const [outer, ...holes] = polygon;
+  return pointInRing(lon, lat, outer) && !holes.some((h) => pointInRing(lon, lat, h));
+}
+
+/**
+ * Distance in meters from a point to segment a-b ([lon, lat] each), using an
+ * equirectangular projection around the point (fine at tent-city scale).
+ */
+function distanceToSegmentMeters(lon, lat, a, b) {
+  const R = 6371000;
+  const k = (Math.PI / 180) * R;
+  const kx = k * Math.cos((lat * Math.PI) / 180);
+
+  const ax = (a[0] - lon) * kx;
+  const ay = (a[1] - lat) * k;
+  const bx = (b[0] - lon) * kx;
+  const by = (b[1] - lat) * k;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lenSq = dx * dx + dy * dy;
+  const t = lenSq ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lenSq)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Where a point sits relative to the geofence:
+ * { inside, edgeMeters } with edgeMeters the distance to the nearest edge
+ * of any polygon (including holes).
+ */
+export function geofenceDistance({ latitude, longitude }, geofence = GEOFENCE) {
+  const polygons = geofencePolygons(geofence);
+  let inside = false;
+  let edgeMeters = Infinity;
+
+  for (const polygon of polygons) {
+    if (pointInPolygon(longitude, latitude, polygon)) inside = true;
+    for (const ring of polygon) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        edgeMeters = Math.min(edgeMeters, distanceToSegmentMeters(longitude, latitude, ring[i], ring[i + 1]));
+      }
+    }
+  }
+
+  return { inside, edgeMeters };
+}
+
 export async function getCurrentPosition() {
   return new Promise((resolve, reject) => {
     if (!navigator.geolocation) {
@@ -37,10 +135,151 @@ export async function getCurrentPosition() {
   });
 }
 
-export async function isCloseEnoughToTarget() {
-  const pos = await getCurrentPosition();
-  const { latitude, longitude } = pos.coords;
+export function toFix(pos) {
+  return {
+    latitude: pos.coords.latitude,
+    longitude: pos.coords.longitude,
+    accuracy: pos.coords.accuracy,
+    timestamp: pos.timestamp,
+  };
+}
+
+/**
+ * Watch the position until a fix is at least `goodAccuracyMeters` accurate
+ * or `deadlineMs` passes, then resolve with the most accurate fix seen and
+ * every fix received ({ best, fixes }).
+ */
+export function acquireBestFix({
+  deadlineMs = GPS_FIX_DEADLINE_MS,
+  goodAccuracyMeters = GPS_GOOD_ACCURACY_METERS,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Geolocation is not supported by this browser."));
+      return;
+    }
+
+    const fixes = [];
+    let lastError = null;
+    let done = false;
+    let watchId = null;
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+
+      if (!fixes.length) {
+        reject(lastError ?? new Error("Couldn't get a location fix in time."));
+        return;
+      }
+      const best = fixes.reduce((a, b) => (b.accuracy < a.accuracy ? b : a));
+      resolve({ best, fixes });
+    };
+
+    const timer = setTimeout(finish, deadlineMs);
+
+    watchId = navigator.geolocation.watchPosition(
+      (pos) => {
+        const fix = toFix(pos);
+        fixes.push(fix);
+        if (fix.accuracy <= goodAccuracyMeters) finish();
+      },
+      (err) => {
+        lastError = err;
+        if (err.code === err.PERMISSION_DENIED) finish();
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: deadlineMs,
+        maximumAge: 0,
+      }
+    );
+
+    if (done) navigator.geolocation.clearWatch(watchId);
+  });
+}
+
+/**
+ * Suspicious-reading flags for a sequence of fixes (oldest first):
+ * - "exact_target": a fix lands exactly on TARGET_COORD (mocked location)
+ * - "no_accuracy": accuracy missing or zero (real GPS never reports 0)
+ * - "impossible_jump": consecutive fixes imply moving faster than
+ *   MAX_PLAUSIBLE_SPEED_MPS, beyond what their accuracy radii explain
+ */
+export function assessFixes(fixes, targetCoord = TARGET_COORD) {
+  const flags = new Set();
+  const sorted = [...fixes].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const f of sorted) {
+    if (
+      Math.abs(f.latitude - targetCoord.lat) < 1e-7 &&
+      Math.abs(f.longitude - targetCoord.lon) < 1e-7
+    ) {
+      flags.add("exact_target");
+    }
+    if (!(f.accuracy > 0)) flags.add("no_accuracy");
+  }
+
+  for (let i = 1; i < sorted.length; i++) {
+    const a = sorted[i - 1];
+    const b = sorted[i];
+    const seconds = Math.max(1, (b.timestamp - a.timestamp) / 1000);
+    const moved = haversineMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+    const unexplained = moved - (a.accuracy || 0) - (b.accuracy || 0);
+    if (unexplained / seconds > MAX_PLAUSIBLE_SPEED_MPS) flags.add("impossible_jump");
+  }
+
+  return [...flags];
+}
+
+/**
+ * Location policy for a check-in, shared by the browser and the verify endpoint.
+ *
+ * - Spoof-looking fixes (exact_target, no_accuracy) are rejected.
+ * - Fixes less accurate than GPS_MAX_ACCURACY_METERS are rejected.
+ * - Otherwise the fix passes if it is inside GEOFENCE or within
+ *   GEOFENCE_BUFFER_METERS of it. Further out it passes only if its accuracy
+ *   circle reaches the geofence itself and it is at most
+ *   GEOFENCE_BORDERLINE_MAX_METERS beyond the buffer, so a good fix at the
+ *   boundary isn't failed by noise but a vague one can't stretch the fence.
+ *   Those borderline passes, and impossible jumps, are flagged for admin
+ *   review rather than rejected.
+ *
+ * `history` holds earlier fixes (previous attempts, watch samples);
+ * `geofence` and `targetCoord` default to the config.js ones (see tents.js).
+ * Returns { ok, reason, distMeters, accuracyMeters, flags } where distMeters
+ * is how far outside the geofence the fix is (0 inside).
+ */
+export function evaluateLocation(fix, history = [], { geofence = GEOFENCE, targetCoord = TARGET_COORD } = {}) {
+  const flags = assessFixes([...history, fix], targetCoord);
+  const { inside, edgeMeters } = geofenceDistance(fix, geofence);
+  const distMeters = inside ? 0 : edgeMeters;
+  const accuracyMeters = fix.accuracy;
+  const result = { ok: false, reason: null, distMeters, accuracyMeters, flags };
+
+  if (flags.includes("exact_target") || flags.includes("no_accuracy")) {
+    result.reason = "This location reading looks spoofed. Turn off any location-mocking apps and try again.";
+    return result;
+  }
+
+  if (accuracyMeters > GPS_MAX_ACCURACY_METERS) {
+    result.reason = `Location too imprecise (±${Math.round(accuracyMeters)}m). Step outside and try again.`;
+    return result;
+  }
+
+  const borderline =
+    distMeters > GEOFENCE_BUFFER_METERS &&
+    distMeters <= accuracyMeters &&
+    distMeters <= GEOFENCE_BUFFER_METERS + GEOFENCE_BORDERLINE_MAX_METERS;
+
+  if (distMeters > GEOFENCE_BUFFER_METERS && !borderline) {
+    result.reason = `You're not in Krzyzewskiville. (~${Math.round(distMeters)}m from the nearest edge, ±${Math.round(accuracyMeters)}m)`;
+    return result;
+  }
 
-  const dist = haversineMeters(latitude, longitude, TARGET_COORD.lat, TARGET_COORD.lon);
-  return { ok: dist <= MAX_DISTANCE_METERS, distMeters: dist };
+  if (borderline) flags.push("borderline");
+  result.ok = true;
+  return result;
 }
@@ -0,0 +1,103 @@
+/**
+ * iCalendar (.ics) output of a member's shifts (environment-neutral).
+ *
+ * Used by the "Add to calendar" button and scripts/export_calendars.mjs.
+ * UIDs come from shiftId, so re-imported or re-fetched feeds update events
+ * in place instead of duplicating them; a shift that moves (or is swapped
+ * away) disappears from the feed and from subscribed calendars.
+ */
+
+import { APP_TITLE, CALENDAR_ALARM_MINUTES, CALENDAR_FEED_DIR } from "./config.js";
+import { DEFAULT_TENT, DEFAULT_TENT_ID } from "./tents.js";
+
+const UID_DOMAIN = "unc-tenting";
+
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1).
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const chSize = new TextEncoder().encode(ch).length;
+    if (size + chSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// Main-tent UIDs predate tents and stay as they were, so subscribed
+// calendars don't see every event replaced.
+function uidFor(tent, shift) {
+  const id = tent.id === DEFAULT_TENT_ID ? shift.shiftId : `${tent.id}:${shift.shiftId}`;
+  return encodeURIComponent(id);
+}
+
+/**
+ * File name for a member's feed, e.g. "calendars/jonah.ics" for the main
+ * tent and "calendars/<tent id>/jonah.ics" for others.
+ */
+export function calendarFileName(person, tentId = DEFAULT_TENT_ID) {
+  const slug = person.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const dir = tentId === DEFAULT_TENT_ID ? CALENDAR_FEED_DIR : `${CALENDAR_FEED_DIR}/${tentId}`;
+  return `${dir}/${slug || "member"}.ics`;
+}
+
+/**
+ * VCALENDAR text for `person`'s `shifts` (from buildShiftsForPerson, with
+ * swaps applied) in `tent`. `stamp` is the DTSTAMP for every event.
+ */
+export function buildICalendar(person, shifts, { stamp = new Date(), tent = DEFAULT_TENT } = {}) {
+  const { targetCoord, verifyBeforeMinutes } = tent;
+  const location = `${targetCoord.lat}, ${targetCoord.lon}`;
+  const alarmMinutes = verifyBeforeMinutes + CALENDAR_ALARM_MINUTES;
+  const calName = tent.id === DEFAULT_TENT_ID ? `${APP_TITLE}: ${person}` : `${tent.name}: ${person}`;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${UID_DOMAIN}//Shift calendar//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calName)}`,
+  ];
+
+  for (const s of [...shifts].sort((a, b) => a.start - b.start)) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${uidFor(tent, s)}@${UID_DOMAIN}`,
+      `DTSTAMP:${icsDate(stamp)}`,
+      `DTSTART:${icsDate(s.start)}`,
+      `DTEND:${icsDate(s.end)}`,
+      "SUMMARY:Tent shift",
+      `DESCRIPTION:${escapeText(`Check in from ${verifyBeforeMinutes} minutes before the start.`)}`,
+      `LOCATION:${escapeText(location)}`,
+      `GEO:${targetCoord.lat};${targetCoord.lon}`,
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      "DESCRIPTION:Tent shift check-in opens soon",
+      `TRIGGER:-PT${alarmMinutes}M`,
+      "END:VALARM",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
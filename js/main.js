@@ -1,49 +1,104 @@
 /**
  * Main app controller.
- * - Loads schedule.csv
- * - “Logs in” user by name
+ * - Signs the user in (Supabase magic link) and maps them to a roster name
+ * - Picks one of the member's tents and loads its schedule
  * - Builds shifts for that user
  * - Shows weekly view with pagination
- * - Allows verifying attendance in the 15-min pre-start window
+ * - Shows the whole team's "who is on now" view
+ * - Lets members offer and take shift swaps (overlaid on the CSV timeline)
+ *   and ask to be excused from upcoming shifts
+ * - Allows verifying attendance in the 15-min pre-start window, queueing
+ *   check-ins made offline and sending them when the connection returns
  * - Records missed shifts once they have started (best-effort; see note below)
+ * - Updates badges and admin lists live as attendance changes
  */
 
-import { ADMIN_NAME, APP_TITLE, VERIFY_BEFORE_MINUTES, VERIFY_AFTER_MINUTES } from "./config.js";
-import { getSavedName, saveName, clearName } from "./auth.js";
+import { APP_TITLE } from "./config.js";
+import { getSession, sendMagicLink, signOut, fetchCurrentMember, isAdmin } from "./auth.js";
 import {
   loadScheduleCSV,
+  applySwaps,
   buildShiftsForPerson,
   getWeekBounds,
   filterShiftsInRange,
-  formatDate,
+  formatWeekRange,
   formatDateTime,
+  setScheduleTimeZone,
   shiftId,
 } from "./schedule.js";
-import { fetchAttendanceForPerson, upsertAttendance, fetchLastSweepTime } from "./db.js";
-import { isCloseEnoughToTarget } from "./geo.js";
+import {
+  fetchAttendanceForPerson,
+  verifyAttendance,
+  fetchLastSweepTime,
+  fetchSwaps,
+  offerShift,
+  cancelSwap,
+  fetchAbsenceRequests,
+  requestAbsence,
+  cancelAbsenceRequest,
+  fetchLatestScheduleCSV,
+  fetchTentsForMember,
+  setActiveTent,
+} from "./db.js";
+import { queueCheckIn, queuedCheckIns, removeQueuedCheckIn, replayCheckIns } from "./checkin_queue.js";
+import { acquireBestFix, evaluateLocation } from "./geo.js";
+import { buildICalendar, calendarFileName } from "./ical.js";
+import { registerServiceWorker } from "./pwa.js";
+import { initReminders } from "./reminders.js";
+import { computeVerifiableShifts } from "./verify_core.js";
 import {
   setVisible,
   setText,
   showToast,
   renderShiftList,
   renderVerifyPanel,
+  renderQueuedCheckIns,
+  downloadFile,
 } from "./ui.js";
-import { renderAdminList } from "./admin.js";
+import {
+  renderAdminList,
+  renderOverridesList,
+  renderFlaggedCheckIns,
+  renderCoverageList,
+} from "./admin.js";
+import { renderStatsDashboard } from "./dashboard.js";
+import { initScheduleEditor } from "./editor.js";
+import { wireExportPanel } from "./export_panel.js";
+import { wireGeneratorPanel } from "./generator_panel.js";
+import { renderNowView, startNowView } from "./now.js";
+import { watchAttendance } from "./realtime.js";
+import { renderSwapOffers, renderSwapApprovals } from "./swaps.js";
+import { renderAbsenceApprovals } from "./absences.js";
 
 document.title = APP_TITLE;
 
-let schedule = null;
+const TENT_KEY = "tenting.tentId";
+const TENTS_CACHE_KEY = "tenting.tents";
+const ATTENDANCE_CACHE_KEY = "tenting.attendance";
+
+let baseSchedule = null; // schedule.csv as published
+let schedule = null; // with active swaps applied
+let swaps = [];
+let absences = []; // absence_requests rows (own, or everyone's for admins)
 let anchorDate = null;
 let weekIndex = 0;
 
+let currentMember = null;
 let currentName = null;
+let currentTent = null; // tents.js settings
+let currentTentRole = null; // role in currentTent (tent_members)
 let shiftsForUser = [];
 let attendanceMap = new Map(); // key -> record
+let adminRefreshPending = false;
 
 function keyFor(person, startISO, endISO) {
   return `${person}__${startISO}__${endISO}`;
 }
 
+function isTentAdmin() {
+  return isAdmin(currentMember, currentTentRole);
+}
+
 function buildAttendanceMap(records) {
   const map = new Map();
   for (const r of records) {
@@ -101,56 +156,39 @@ function buildAttendanceMap(records) {
 //   }
 // }
 
-function computeVerifiableShifts() {
-  const now = new Date();
-  const fifteenMin = 15 * 60 * 1000;
-
-  // Verifiable if: start - 15min <= now < start
-  // Also: not already verified.
-  return shiftsForUser.filter((s) => {
-    const startISO = s.start.toISOString();
-    const endISO = s.end.toISOString();
-    const rec = attendanceMap.get(shiftId(s.person, s.start.toISOString())
-);
-    if (rec?.status === "verified") return false;
-
-    const msBefore = VERIFY_BEFORE_MINUTES * 60 * 1000;
-    const msAfter = VERIFY_AFTER_MINUTES * 60 * 1000;
-
-    const delta = now.getTime() - s.start.getTime();
-    // delta < 0  → before start
-    // delta = 0  → exactly start
-    // delta > 0  → after start
-
-    return (
-        delta >= -msBefore &&
-        delta <= msAfter
-    );
-    });
-}
-
 async function onVerifyClick(shift) {
   try {
-    showToast("Requesting location permission…", "info");
+    showToast("Getting a precise location fix…", "info");
 
-    const { ok, distMeters } = await isCloseEnoughToTarget();
-    if (!ok) {
-      showToast(`You're not close enough to Krzyzewskiville. (~${Math.round(distMeters)}m away)`, "danger");
+    const { best, fixes } = await acquireBestFix();
+    const samples = fixes.filter((f) => f !== best);
+
+    // Fail fast on an obviously bad fix; the endpoint re-checks everything.
+    const local = evaluateLocation(best, samples, currentTent);
+    if (!local.ok) {
+      showToast(local.reason, "danger");
       return;
     }
 
-    const startISO = shift.start.toISOString();
-    const endISO = shift.end.toISOString();
-    const nowISO = new Date().toISOString();
-
-    await upsertAttendance({
-      person: shift.person,
-      shiftStartISO: startISO,
-      shiftEndISO: endISO,
-      status: "verified",
-      verifiedAtISO: nowISO,
-    });
+    const checkIn = {
+      tentId: currentTent.id,
+      shiftStartISO: shift.start.toISOString(),
+      fix: best,
+      samples,
+      capturedAt: new Date().toISOString(),
+    };
+
+    try {
+      await verifyAttendance(checkIn);
+    } catch (e) {
+      if (!e.offline) throw e;
+      queueCheckIn({ person: currentName, ...checkIn });
+      showToast("No connection. Check-in saved and will be sent when you're back online.", "warning");
+      await renderCurrentWeek();
+      return;
+    }
 
+    removeQueuedCheckIn(currentName, checkIn.shiftStartISO, currentTent.id);
     showToast("Verification successful. You're checked in ✅", "success");
 
     // Always refresh from Supabase (source of truth)
@@ -162,26 +200,136 @@ async function onVerifyClick(shift) {
   }
 }
 
+/**
+ * Run a refresh that can wait until we're back online: offline, log it and
+ * carry on with what is already loaded.
+ */
+async function unlessOffline(task) {
+  try {
+    await task();
+  } catch (e) {
+    if (navigator.onLine) throw e;
+    console.warn("Offline, skipped a refresh:", e);
+  }
+}
+
+/**
+ * Send check-ins queued while offline; each is judged at the time it was made.
+ */
+async function sendQueuedCheckIns() {
+  if (!currentName || !queuedCheckIns(currentName).some((e) => e.status === "pending")) return;
+
+  const { sent, failed } = await replayCheckIns(currentName, verifyAttendance);
+  if (sent) showToast(`Sent ${sent} offline check-in${sent === 1 ? "" : "s"} ✅`, "success");
+  if (failed) showToast(`${failed} offline check-in${failed === 1 ? " was" : "s were"} rejected. See your shifts.`, "danger");
+  if (!sent && !failed) showToast("Still offline. Check-ins will send when the connection returns.", "warning");
+  if (sent || failed) await renderCurrentWeek();
+}
+
+async function reloadSwaps() {
+  await unlessOffline(async () => {
+    swaps = await fetchSwaps();
+  });
+  schedule = applySwaps(baseSchedule, swaps);
+  shiftsForUser = buildShiftsForPerson(schedule.timeline, currentName);
+}
+
+/**
+ * After any swap change: re-overlay swaps and redraw everything that
+ * depends on who is responsible for which shift.
+ */
+async function onSwapsChanged() {
+  await reloadSwaps();
+  if (schedule.people.includes(currentName)) await renderCurrentWeek();
+  await startNowView(schedule);
+  if (isTentAdmin()) await renderAdminPanels();
+}
+
+async function onOfferClick(shift) {
+  try {
+    await offerShift(shift);
+    showToast("Shift offered. It stays yours until someone takes it.", "success");
+    await onSwapsChanged();
+  } catch (e) {
+    console.error(e);
+    showToast(`Couldn't offer shift: ${e.message ?? e}`, "danger");
+  }
+}
+
+async function onWithdrawClick(offer) {
+  try {
+    await cancelSwap(offer.id);
+    showToast("Offer withdrawn.", "success");
+    await onSwapsChanged();
+  } catch (e) {
+    console.error(e);
+    showToast(`Couldn't withdraw offer: ${e.message ?? e}`, "danger");
+  }
+}
+
+async function reloadAbsences() {
+  await unlessOffline(async () => {
+    absences = await fetchAbsenceRequests();
+  });
+}
+
+async function onAbsencesChanged() {
+  await reloadAbsences();
+  if (schedule.people.includes(currentName)) await renderCurrentWeek();
+  if (isTentAdmin()) await renderAdminPanels();
+}
+
+async function onAbsenceClick(shift) {
+  const reason = prompt(`Why can't you make the ${formatDateTime(shift.start)} shift?`);
+  if (reason === null) return;
+
+  try {
+    await requestAbsence(shift, reason);
+    showToast("Absence requested. The shift stays yours unless an admin approves it.", "success");
+    await onAbsencesChanged();
+  } catch (e) {
+    console.error(e);
+    showToast(`Couldn't request absence: ${e.message ?? e}`, "danger");
+  }
+}
+
+async function onCancelAbsenceClick(request) {
+  try {
+    await cancelAbsenceRequest(request.id);
+    showToast("Absence request cancelled.", "success");
+    await onAbsencesChanged();
+  } catch (e) {
+    console.error(e);
+    showToast(`Couldn't cancel absence request: ${e.message ?? e}`, "danger");
+  }
+}
+
+function attendanceCacheKey() {
+  return `${ATTENDANCE_CACHE_KEY}.${currentTent.id}.${currentName}`;
+}
+
+/**
+ * Refresh the member's attendance. Offline, keep what is loaded, or start
+ * from the last copy seen so the week and Verify still render.
+ */
 async function reloadAttendanceForCurrentUser() {
-  const records = await fetchAttendanceForPerson(currentName);
-  console.log("Fetched attendance for", currentName, "count =", records.length);
-  console.log("First few:", records.slice(0, 5));
+  let records;
+  try {
+    records = await fetchAttendanceForPerson(currentName);
+    localStorage.setItem(attendanceCacheKey(), JSON.stringify(records));
+  } catch (e) {
+    const cached = JSON.parse(localStorage.getItem(attendanceCacheKey()) ?? "null");
+    if (navigator.onLine || attendanceMap.size || !cached) throw e;
+    records = cached;
+  }
   attendanceMap = buildAttendanceMap(records);
-  console.log("attendanceMap size =", attendanceMap.size);
 }
 
 
 async function renderCurrentWeek() {
 
   // Always refresh attendance before rendering
-  await reloadAttendanceForCurrentUser();
-  
-  //Temporary logging
-  // console.log("Attendance records from Supabase:");
-for (const [k, v] of attendanceMap.entries()) {
-  // console.log(k, v.status);
-}
-
+  await unlessOffline(reloadAttendanceForCurrentUser);
 
   // const lastSweep = await fetchLastSweepTime();
   //   setText(
@@ -191,18 +339,7 @@ for (const [k, v] of attendanceMap.entries()) {
 
   const { start, end } = getWeekBounds(anchorDate, weekIndex);
 
-  // console.log("Computed shifts (browser):");
-  // for (const s of shiftsForUser) {
-  //   console.log({
-  //     person: s.person,
-  //     startISO: s.start.toISOString(),
-  //     shiftId: shiftId(s.person, s.start.toISOString())
-  //   });
-  // }
-
-
-
-  setText("weekLabel", `${formatDate(start)} → ${formatDate(new Date(end.getTime() - 1))}`);
+  setText("weekLabel", formatWeekRange({ start, end }));
 
   // IMPORTANT:
   // Missed shifts are handled by the GitHub Action sweep (server-side).
@@ -210,20 +347,41 @@ for (const [k, v] of attendanceMap.entries()) {
   // await recordMissedShiftsIfNeeded();
 
   // Recompute verify options
-  const verifiable = computeVerifiableShifts();
+  const verifiable = computeVerifiableShifts(shiftsForUser, attendanceMap, new Date(), currentTent);
   renderVerifyPanel({ upcomingVerifiableShifts: verifiable, onVerifyClick });
 
   const weekShifts = filterShiftsInRange(shiftsForUser, start, end);
-  const s = weekShifts[0]; // or pick the one you care about
-  console.log("Shift from schedule:", {
-    startLocal: s.start.toString(),
-    startISO: s.start.toISOString(),
-    computedShiftId: shiftId(s.person, s.start.toISOString()),
-    fromShiftObj: s.shift_id, // if present
-  });
-  console.log("Matching DB record:", attendanceMap.get(shiftId(s.person, s.start.toISOString())));
 
-  renderShiftList({ shifts: weekShifts, attendanceMap });
+  const openOffers = new Map(
+    swaps
+      .filter((sw) => sw.from_person === currentName && ["offered", "accepted"].includes(sw.status))
+      .map((sw) => [sw.shift_id, sw])
+  );
+  // Oldest first, so the latest request per shift wins.
+  const myAbsences = new Map(
+    absences.filter((a) => a.person === currentName).map((a) => [a.shift_id, a])
+  );
+  const queued = queuedCheckIns(currentName, currentTent.id);
+  renderQueuedCheckIns({
+    entries: queued,
+    onRetry: sendQueuedCheckIns,
+    onDismiss: async (entry) => {
+      removeQueuedCheckIn(currentName, entry.shiftStartISO, entry.tentId);
+      await renderCurrentWeek();
+    },
+  });
+  renderShiftList({
+    shifts: weekShifts,
+    attendanceMap,
+    queuedCheckIns: new Map(queued.map((e) => [shiftId(currentName, e.shiftStartISO), e])),
+    openOffers,
+    absences: myAbsences,
+    onOfferClick,
+    onWithdrawClick,
+    onAbsenceClick,
+    onCancelAbsenceClick,
+  });
+  renderSwapOffers({ swaps, me: currentName, myShifts: shiftsForUser, onChange: onSwapsChanged });
 }
 
 
@@ -239,104 +397,252 @@ function wireWeekButtons() {
   });
 }
 
+/**
+ * "Add to calendar" downloads the member's shifts (swaps applied) as .ics;
+ * "Subscribe" points calendar apps at the published feed, which
+ * scripts/export_calendars.mjs keeps up to date.
+ */
+function wireCalendarButtons() {
+  document.getElementById("calendarDownloadBtn").addEventListener("click", () => {
+    const fileName = calendarFileName(currentName, currentTent.id).split("/").pop();
+    downloadFile(fileName, buildICalendar(currentName, shiftsForUser, { tent: currentTent }), "text/calendar");
+  });
+
+  const feed = new URL(calendarFileName(currentName, currentTent.id), location.href).href;
+  document.getElementById("calendarSubscribeLink").href = feed.replace(/^https?:/, "webcal:");
+}
+
 function wireLogout() {
-  document.getElementById("logoutBtn").addEventListener("click", () => {
-    clearName();
-    location.reload();
+  document.getElementById("logoutBtn").addEventListener("click", async () => {
+    try {
+      await signOut();
+    } finally {
+      location.reload();
+    }
   });
 }
 
-async function loginAs(name) {
-  currentName = name.trim().charAt(0).toUpperCase() + name.trim().slice(1).toLowerCase();
-  saveName(currentName);
+function wireLoginForm() {
+  const form = document.getElementById("loginForm");
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const btn = form.querySelector("button");
+    const email = document.getElementById("emailInput").value;
+    try {
+      btn.disabled = true;
+      await sendMagicLink(email);
+      showToast(`Sign-in link sent to ${email.trim()}. Open it on this device.`, "success");
+    } catch (err) {
+      console.error(err);
+      showToast(`Couldn't send sign-in link: ${err.message ?? err}`, "danger");
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
 
-  document.getElementById("logoutBtn").classList.remove("d-none");
-  setText("whoami", `Logged in as: ${currentName}`);
+async function renderAdminPanels() {
+  await renderAdminList(currentName, schedule.people);
+  await renderOverridesList(currentName, schedule.people);
+  await renderStatsDashboard(schedule);
+  await renderFlaggedCheckIns();
+  await renderCoverageList(schedule, absences, currentTent);
+  renderSwapApprovals({ swaps, adminName: currentName, onChange: onSwapsChanged });
+  renderAbsenceApprovals({ absences, adminName: currentName, onChange: onAbsencesChanged });
+}
 
-  if (currentName === ADMIN_NAME) {
-    setVisible("loginSection", false);
-    setVisible("userSection", false);
-    setVisible("adminSection", true);
-    setVisible("loadingCard", false);
+const ADMIN_LIVE_LISTS = ["adminList", "adminOverridesList"];
+
+/**
+ * Redraw the missed and overridden lists, unless an admin is filling in a
+ * form in one: then wait until focus leaves it, so their input isn't lost.
+ */
+async function refreshAdminLists() {
+  const editing = ADMIN_LIVE_LISTS.some((id) => document.getElementById(id).contains(document.activeElement));
+  adminRefreshPending = editing;
+  if (editing) return;
 
-    const refreshBtn = document.getElementById("refreshAdminBtn");
-    refreshBtn.addEventListener("click", async () => {
-      try {
-        refreshBtn.disabled = true;
-        await renderAdminList(currentName);
-      } finally {
-        refreshBtn.disabled = false;
-      }
+  await Promise.all([renderAdminList(currentName, schedule.people), renderOverridesList(currentName, schedule.people)]);
+}
+
+function wireAdminLiveLists() {
+  for (const id of ADMIN_LIVE_LISTS) {
+    const list = document.getElementById(id);
+    list.addEventListener("focusout", async (e) => {
+      if (!adminRefreshPending || list.contains(e.relatedTarget)) return;
+      await unlessOffline(refreshAdminLists);
     });
+  }
+}
 
-    await renderAdminList(currentName);
-    return;
+/**
+ * Live attendance changes (realtime.js): redraw whatever shows the changed
+ * rows. A row without a person (a delete) could be anyone's.
+ */
+async function onAttendanceChanged(rows) {
+  const mine = rows.some((r) => !r?.person || r.person === currentName);
+  if (mine && schedule.people.includes(currentName)) await renderCurrentWeek();
+  await renderNowView(schedule);
+  if (isTentAdmin()) await refreshAdminLists();
+}
+
+function startLiveUpdates() {
+  watchAttendance({
+    tentId: currentTent.id,
+    onChange: onAttendanceChanged,
+    // Back from sleep or a dropped connection: changes may have been missed.
+    onResync: () => onAttendanceChanged([{}]),
+  });
+}
+
+async function showAdminSection() {
+  setVisible("adminSection", true);
+  wireAdminLiveLists();
+  wireExportPanel(() => schedule);
+  initScheduleEditor(baseSchedule, currentName);
+  wireGeneratorPanel(currentTent);
+
+  const refreshBtn = document.getElementById("refreshAdminBtn");
+  refreshBtn.addEventListener("click", async () => {
+    try {
+      refreshBtn.disabled = true;
+      await renderAdminPanels();
+    } finally {
+      refreshBtn.disabled = false;
+    }
+  });
+
+  await renderAdminPanels();
+}
+
+/**
+ * The member's tents as [{ tent, role }]; offline, the last list seen.
+ */
+async function loadMemberships(member) {
+  try {
+    const memberships = await fetchTentsForMember(member);
+    localStorage.setItem(TENTS_CACHE_KEY, JSON.stringify(memberships));
+    return memberships;
+  } catch (e) {
+    const cached = JSON.parse(localStorage.getItem(TENTS_CACHE_KEY) ?? "null");
+    if (navigator.onLine || !cached) throw e;
+    return cached;
+  }
+}
+
+/**
+ * Tent picker in the header, shown to members of more than one tent.
+ * Switching reloads the page into the chosen tent.
+ */
+function wireTentPicker(memberships) {
+  if (memberships.length < 2) return;
+
+  const select = document.getElementById("tentSelect");
+  for (const { tent } of memberships) {
+    const opt = document.createElement("option");
+    opt.value = tent.id;
+    opt.textContent = tent.name;
+    select.appendChild(opt);
   }
+  select.value = currentTent.id;
+  select.classList.remove("d-none");
 
-  // Validate name exists
-  if (!schedule.people.includes(currentName)) {
-    showToast(`Name "${currentName}" not found in schedule.csv header.`, "danger");
-    clearName();
-    setText("whoami", "");
+  select.addEventListener("change", () => {
+    localStorage.setItem(TENT_KEY, select.value);
+    location.reload();
+  });
+}
+
+async function loginAs(member) {
+  currentMember = member;
+  currentName = member.name;
+
+  document.getElementById("logoutBtn").classList.remove("d-none");
+
+  const memberships = await loadMemberships(member);
+  const chosen = memberships.find((m) => m.tent.id === localStorage.getItem(TENT_KEY)) ?? memberships[0];
+  if (!chosen) {
+    showToast(`${currentName} isn't in any tent yet. Ask an admin to add you.`, "danger");
+    setVisible("loadingCard", false);
     return;
   }
 
-  // Build shifts
-  shiftsForUser = buildShiftsForPerson(schedule.timeline, currentName);
+  currentTent = chosen.tent;
+  currentTentRole = chosen.role;
+  setActiveTent(currentTent.id);
+  setScheduleTimeZone(currentTent.timeZone);
+  wireTentPicker(memberships);
 
-  // Load attendance
-  const records = await fetchAttendanceForPerson(currentName);
-  attendanceMap = buildAttendanceMap(records);
-  // console.log("AttendanceMap keys:");
-  for (const [k, v] of attendanceMap.entries()) {
-    // console.log(k, v.status);
+  baseSchedule = await loadScheduleCSV(fetchLatestScheduleCSV, currentTent);
+  schedule = baseSchedule;
+
+  setText("whoami", `Logged in as: ${currentName}${isTentAdmin() ? " (admin)" : ""}`);
+
+  setVisible("loginSection", false);
+  setVisible("loadingCard", false);
+
+  const onRoster = schedule.people.includes(currentName);
+
+  await reloadSwaps();
+  await reloadAbsences();
+  await unlessOffline(() => startNowView(schedule));
+
+  if (isTentAdmin()) {
+    await unlessOffline(showAdminSection);
+  }
+
+  if (!onRoster) {
+    if (!isTentAdmin()) {
+      showToast(`"${currentName}" is not in the ${currentTent.name} schedule header.`, "danger");
+    }
+    setVisible("userSection", false);
+    startLiveUpdates();
+    return;
   }
 
+  // Load attendance (cached copy when offline)
+  await unlessOffline(reloadAttendanceForCurrentUser);
 
   // Determine anchor date (first timestamp in CSV)
   anchorDate = new Date(schedule.timeline[0].time);
 
-  setVisible("loginSection", false);
-  setVisible("adminSection", false);
   setVisible("userSection", true);
-  setVisible("loadingCard", false);
 
   wireWeekButtons();
+  wireCalendarButtons();
   await renderCurrentWeek();
+  await unlessOffline(() => initReminders(member));
+
+  window.addEventListener("online", sendQueuedCheckIns);
+  await sendQueuedCheckIns();
 
-  // Periodically refresh attendance from Supabase so missed shifts appear
-    // setInterval(async () => {
-    // try {
-    //     // await reloadAttendanceForCurrentUser();
-    //     await renderCurrentWeek();
-    // } catch (e) {
-    //     console.warn("Periodic refresh failed:", e);
-    // }
-    // }, 30000);
+  // Missed shifts from the sweep and admin overrides appear without a reload.
+  startLiveUpdates();
 }
 
 async function init() {
   try {
     wireLogout();
+    wireLoginForm();
+    registerServiceWorker().catch((e) => console.warn("Service worker registration failed:", e));
 
-    schedule = await loadScheduleCSV();
-
-    setVisible("loadingCard", false);
-    setVisible("loginSection", true);
+    const session = await getSession();
+    if (!session) {
+      setVisible("loadingCard", false);
+      setVisible("loginSection", true);
+      return;
+    }
 
-    const saved = getSavedName();
-    if (saved) {
-      // Auto-login if previously saved
-      await loginAs(saved);
+    const member = await fetchCurrentMember(session);
+    if (!member) {
+      setVisible("loadingCard", false);
+      showToast(`${session.user.email} isn't on the team roster. Ask an admin to add you.`, "danger");
+      document.getElementById("logoutBtn").classList.remove("d-none");
+      setVisible("loginSection", true);
       return;
     }
 
-    const form = document.getElementById("loginForm");
-    form.addEventListener("submit", async (e) => {
-      e.preventDefault();
-      const name = document.getElementById("nameInput").value;
-      await loginAs(name);
-    });
+    await loginAs(member);
   } catch (e) {
     console.error(e);
     showToast(`Startup error: ${e.message ?? e}`, "danger");
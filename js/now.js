@@ -0,0 +1,86 @@
+/**
+ * Team "Now" view: who is supposed to be in the tent right now, whether each
+ * of them has checked in, and who is coming on next. Refreshes on a timer.
+ */
+
+import { NOW_REFRESH_SECONDS } from "./config.js";
+import { fetchAttendanceForShiftIds } from "./db.js";
+import { computeRosterNow } from "./roster.js";
+import { formatDateTime } from "./schedule.js";
+import { badgeForStatus, clearChildren, setText, setVisible } from "./ui.js";
+
+let refreshTimer = null;
+
+function emptyRow(text) {
+  const el = document.createElement("div");
+  el.className = "text-muted";
+  el.textContent = text;
+  return el;
+}
+
+export async function renderNowView(schedule) {
+  const now = new Date();
+  const { onNow, upNext } = computeRosterNow(schedule.shifts, now);
+
+  const records = await fetchAttendanceForShiftIds(onNow.map((s) => s.shiftId));
+  const byId = new Map(records.map((r) => [r.shift_id, r]));
+
+  clearChildren("nowList");
+  const nowList = document.getElementById("nowList");
+
+  if (!onNow.length) nowList.appendChild(emptyRow("Nobody is scheduled right now."));
+
+  for (const s of onNow) {
+    const rec = byId.get(s.shiftId);
+    const status = rec?.status ?? "unrecorded";
+    const item = document.createElement("div");
+    item.className = "list-group-item shadow-sm";
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div>
+          <div class="fw-semibold">${s.person}</div>
+          <div class="text-muted small">until ${formatDateTime(s.end)}</div>
+        </div>
+        <div>${badgeForStatus(status, rec)}</div>
+      </div>
+    `;
+    nowList.appendChild(item);
+  }
+
+  clearChildren("nextList");
+  const nextList = document.getElementById("nextList");
+
+  if (!upNext.length) nextList.appendChild(emptyRow("No more shifts on the schedule."));
+
+  for (const s of upNext) {
+    const item = document.createElement("div");
+    item.className = "list-group-item";
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div class="fw-semibold">${s.person}</div>
+        <div class="text-muted small">${formatDateTime(s.start)} → ${formatDateTime(s.end)}</div>
+      </div>
+    `;
+    nextList.appendChild(item);
+  }
+
+  setText("nowUpdated", `Updated ${formatDateTime(now)}`);
+}
+
+/**
+ * Show the view and keep it fresh every NOW_REFRESH_SECONDS.
+ */
+export async function startNowView(schedule) {
+  setVisible("nowSection", true);
+
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(async () => {
+    try {
+      await renderNowView(schedule);
+    } catch (e) {
+      console.warn("Now view refresh failed:", e);
+    }
+  }, NOW_REFRESH_SECONDS * 1000);
+
+  await renderNowView(schedule);
+}
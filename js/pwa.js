@@ -0,0 +1,16 @@
+/**
+ * Service worker registration (sw.js: offline app shell and push
+ * reminders). Resolves to the active registration, or null where service
+ * workers aren't available (e.g. plain http on a LAN address).
+ */
+
+let registration = null;
+
+export async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return null;
+  if (!registration) {
+    await navigator.serviceWorker.register("sw.js");
+    registration = await navigator.serviceWorker.ready;
+  }
+  return registration;
+}
@@ -0,0 +1,122 @@
+/**
+ * Live attendance updates over Supabase Realtime.
+ *
+ * Subscribes to one tent's `attendance` rows (row-level security still
+ * decides which rows a member receives; see sql/013_realtime.sql) and calls
+ * `onChange(rows)` with the changed rows, batched so a sweep inserting many
+ * misses causes one redraw. Deleted rows may arrive as just their key.
+ *
+ * Phones drop the socket when they sleep and miss whatever changed
+ * meanwhile: a channel that errors, times out or closes is re-opened with
+ * backoff, and once it is back (or the page is shown again after a while
+ * away) `onResync()` runs so callers can refetch.
+ */
+
+import { SUPABASE_TABLE } from "./config.js";
+import { supabase } from "./db.js";
+
+const BATCH_MS = 500;
+const RETRY_DELAYS_MS = [1000, 2000, 5000, 15000, 30000];
+const RESYNC_AFTER_HIDDEN_MS = 30 * 1000;
+
+function run(task, ...args) {
+  Promise.resolve()
+    .then(() => task(...args))
+    .catch((e) => console.warn("Live attendance update failed:", e));
+}
+
+/**
+ * Watch `tentId`'s attendance until the returned stop() is called.
+ */
+export function watchAttendance({ tentId, onChange, onResync }) {
+  let channel = null;
+  let stopped = false;
+  let retries = 0;
+  let retryTimer = null;
+  let needsResync = false;
+  let hiddenAt = null;
+  let batch = [];
+  let batchTimer = null;
+
+  function flush() {
+    const rows = batch;
+    batch = [];
+    batchTimer = null;
+    run(onChange, rows);
+  }
+
+  function retryLater() {
+    needsResync = true;
+    const delay = RETRY_DELAYS_MS[Math.min(retries++, RETRY_DELAYS_MS.length - 1)];
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(subscribe, delay);
+  }
+
+  function subscribe() {
+    clearTimeout(retryTimer);
+    const old = channel;
+    channel = null;
+    if (old) supabase.removeChannel(old);
+
+    const ch = supabase.channel(`attendance:${tentId}`).on(
+      "postgres_changes",
+      { event: "*", schema: "public", table: SUPABASE_TABLE, filter: `tent_id=eq.${tentId}` },
+      (payload) => {
+        batch.push(payload.eventType === "DELETE" ? payload.old : payload.new);
+        batchTimer ??= setTimeout(flush, BATCH_MS);
+      }
+    );
+    channel = ch;
+
+    ch.subscribe((status) => {
+      // Ignore a replaced channel reporting that it closed.
+      if (stopped || ch !== channel) return;
+
+      if (status === "SUBSCRIBED") {
+        retries = 0;
+        if (needsResync) {
+          needsResync = false;
+          run(onResync);
+        }
+      } else if (["CHANNEL_ERROR", "TIMED_OUT", "CLOSED"].includes(status)) {
+        retryLater();
+      }
+    });
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === "hidden") {
+      hiddenAt = Date.now();
+      return;
+    }
+
+    const longAway = hiddenAt !== null && Date.now() - hiddenAt >= RESYNC_AFTER_HIDDEN_MS;
+    hiddenAt = null;
+
+    if (channel?.state !== "joined") {
+      needsResync = true;
+      subscribe();
+    } else if (longAway) {
+      run(onResync);
+    }
+  }
+
+  function onOnline() {
+    needsResync = true;
+    retries = 0;
+    subscribe();
+  }
+
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  window.addEventListener("online", onOnline);
+  subscribe();
+
+  return function stop() {
+    stopped = true;
+    clearTimeout(retryTimer);
+    clearTimeout(batchTimer);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+    window.removeEventListener("online", onOnline);
+    if (channel) supabase.removeChannel(channel);
+  };
+}
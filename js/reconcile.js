@@ -0,0 +1,86 @@
+/**
+ * Attendance reconciliation (environment-neutral): compares the shifts the
+ * schedule produces now with the attendance rows already recorded, to find
+ * rows an edited schedule left behind. Each finding is one of:
+ * - orphan: the row's shift no longer exists and nothing replaced it
+ * - moved: the row's shift no longer exists (or its end changed), but the
+ *   same person has an overlapping shift with no row of its own
+ * - duplicate: a second row for a shift that already has one
+ *
+ * Used by `scripts/mark_missed.mjs --reconcile`.
+ */
+
+// Which row a shift keeps when it has several: the best outcome wins.
+const KEEP_ORDER = ["verified", "late", "covered", "excused", "missed"];
+
+function rank(row) {
+  const i = KEEP_ORDER.indexOf(row.status);
+  return i === -1 ? KEEP_ORDER.length : i;
+}
+
+function sameTime(iso, date) {
+  return new Date(iso).getTime() === date.getTime();
+}
+
+function overlapMs(row, shift) {
+  const start = Math.max(new Date(row.shift_start).getTime(), shift.start.getTime());
+  const end = Math.min(new Date(row.shift_end).getTime(), shift.end.getTime());
+  return end - start;
+}
+
+/**
+ * { orphans: [{ row }], moved: [{ row, shift }], duplicates: [{ row, kept }] }
+ * for attendance `records` (one tent's rows) against `shifts` (as built by
+ * buildAllShifts, swaps applied).
+ */
+export function reconcileAttendance(shifts, records) {
+  const shiftsById = new Map(shifts.map((s) => [s.shiftId, s]));
+  const rowsById = new Map();
+  for (const r of records) {
+    if (!rowsById.has(r.shift_id)) rowsById.set(r.shift_id, []);
+    rowsById.get(r.shift_id).push(r);
+  }
+
+  const orphans = [];
+  const moved = [];
+  const duplicates = [];
+  const unmatched = [];
+
+  for (const [id, rows] of rowsById) {
+    const shift = shiftsById.get(id);
+    if (!shift) {
+      unmatched.push(...rows);
+      continue;
+    }
+
+    // Keep the best outcome, then the row that still matches the shift exactly.
+    const [kept, ...rest] = [...rows].sort(
+      (a, b) => rank(a) - rank(b) || sameTime(b.shift_end, shift.end) - sameTime(a.shift_end, shift.end)
+    );
+    if (!sameTime(kept.shift_end, shift.end)) moved.push({ row: kept, shift });
+    for (const row of rest) duplicates.push({ row, kept });
+  }
+
+  // A row whose shift is gone follows the person's overlapping shift, if that
+  // shift has no row yet; best outcomes get first pick.
+  const claimed = new Set(rowsById.keys());
+  unmatched.sort((a, b) => rank(a) - rank(b));
+
+  for (const row of unmatched) {
+    let best = null;
+    for (const s of shifts) {
+      if (s.person !== row.person || claimed.has(s.shiftId)) continue;
+      const ms = overlapMs(row, s);
+      if (ms > 0 && (!best || ms > best.ms)) best = { shift: s, ms };
+    }
+
+    if (best) {
+      claimed.add(best.shift.shiftId);
+      moved.push({ row, shift: best.shift });
+    } else {
+      orphans.push({ row });
+    }
+  }
+
+  return { orphans, moved, duplicates };
+}
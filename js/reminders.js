@@ -0,0 +1,184 @@
+/**
+ * Reminder opt-in UI: Web Push on this device (via sw.js), email to the
+ * sign-in address, or SMS to a phone number. Subscriptions are stored in
+ * `reminder_subscriptions` per tent, so this card manages the active tent's;
+ * scripts/send_reminders.mjs does the sending.
+ */
+
+import { REMINDER_LEAD_CHOICES, REMINDER_LEAD_MINUTES, VAPID_PUBLIC_KEY } from "./config.js";
+import {
+  deleteReminderSubscription,
+  fetchReminderSubscriptions,
+  saveReminderSubscription,
+  updateReminderLeadMinutes,
+} from "./db.js";
+import { registerServiceWorker } from "./pwa.js";
+import { clearChildren, showToast } from "./ui.js";
+
+let member = null;
+let subscriptions = [];
+
+const CHANNEL_LABELS = { push: "Push on a device", email: "Email", sms: "Text" };
+
+function pushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && !!VAPID_PUBLIC_KEY;
+}
+
+function base64UrlToBytes(base64Url) {
+  const base64 = (base64Url + "=".repeat((4 - (base64Url.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+function leadMinutes() {
+  return Number(document.getElementById("reminderLeadSelect").value);
+}
+
+async function reload() {
+  subscriptions = await fetchReminderSubscriptions();
+  renderList();
+}
+
+function renderList() {
+  clearChildren("reminderList");
+  const list = document.getElementById("reminderList");
+
+  if (!subscriptions.length) {
+    list.innerHTML = `<div class="text-muted small">No reminders set up.</div>`;
+    return;
+  }
+
+  for (const sub of subscriptions) {
+    const item = document.createElement("div");
+    item.className = "list-group-item d-flex justify-content-between align-items-center gap-2";
+    item.innerHTML = `
+      <div class="small">
+        <span class="fw-semibold">${CHANNEL_LABELS[sub.channel]}</span>
+        ${sub.channel === "push" ? "" : `<span class="text-muted">${sub.target}</span>`}
+        <span class="text-muted">· ${sub.lead_minutes} min before</span>
+      </div>
+      <button class="btn btn-sm btn-outline-danger">Remove</button>
+    `;
+    item.querySelector("button").addEventListener("click", async () => {
+      try {
+        await deleteReminderSubscription(sub.id);
+        // The device's push subscription may still serve another tent.
+        if (sub.channel === "push" && !(await pushTargetInUse(sub.target))) await unsubscribePush(sub.target);
+        await reload();
+      } catch (e) {
+        console.error(e);
+        showToast(`Could not remove reminder: ${e.message ?? e}`, "danger");
+      }
+    });
+    list.appendChild(item);
+  }
+}
+
+async function pushTargetInUse(endpoint) {
+  const all = await fetchReminderSubscriptions({ tentId: null });
+  return all.some((s) => s.channel === "push" && s.target === endpoint);
+}
+
+async function unsubscribePush(endpoint) {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  const sub = await reg?.pushManager.getSubscription();
+  if (sub?.endpoint === endpoint) await sub.unsubscribe();
+}
+
+async function enablePush() {
+  if ((await Notification.requestPermission()) !== "granted") {
+    throw new Error("notifications are blocked for this site.");
+  }
+
+  const reg = await registerServiceWorker();
+  const sub =
+    (await reg.pushManager.getSubscription()) ??
+    (await reg.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: base64UrlToBytes(VAPID_PUBLIC_KEY),
+    }));
+
+  const { endpoint, keys } = sub.toJSON();
+  await saveReminderSubscription({
+    person: member.name,
+    channel: "push",
+    target: endpoint,
+    pushKeys: keys,
+    leadMinutes: leadMinutes(),
+  });
+}
+
+async function subscribe(btn, action, successMessage) {
+  try {
+    btn.disabled = true;
+    await action();
+    await reload();
+    showToast(successMessage, "success");
+  } catch (e) {
+    console.error(e);
+    showToast(`Could not set up reminders: ${e.message ?? e}`, "danger");
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Wire the reminders card for the signed-in roster `member`.
+ */
+export async function initReminders(signedInMember) {
+  member = signedInMember;
+
+  const leadSelect = document.getElementById("reminderLeadSelect");
+  leadSelect.innerHTML = REMINDER_LEAD_CHOICES.map(
+    (m) => `<option value="${m}" ${m === REMINDER_LEAD_MINUTES ? "selected" : ""}>${m} minutes before</option>`
+  ).join("");
+
+  // Changing the lead time applies to every existing subscription.
+  leadSelect.addEventListener("change", async () => {
+    try {
+      await updateReminderLeadMinutes(member.name, leadMinutes());
+      await reload();
+    } catch (e) {
+      console.error(e);
+      showToast(`Could not update reminders: ${e.message ?? e}`, "danger");
+    }
+  });
+
+  const pushBtn = document.getElementById("reminderPushBtn");
+  pushBtn.disabled = !pushSupported();
+  pushBtn.title = pushSupported() ? "" : "Push notifications aren't available in this browser.";
+  pushBtn.addEventListener("click", () => subscribe(pushBtn, enablePush, "Push reminders on for this device."));
+
+  const emailBtn = document.getElementById("reminderEmailBtn");
+  emailBtn.textContent = `Email ${member.email}`;
+  emailBtn.addEventListener("click", () =>
+    subscribe(
+      emailBtn,
+      () =>
+        saveReminderSubscription({
+          person: member.name,
+          channel: "email",
+          target: member.email,
+          leadMinutes: leadMinutes(),
+        }),
+      "Email reminders on."
+    )
+  );
+
+  const smsBtn = document.getElementById("reminderSmsBtn");
+  smsBtn.addEventListener("click", () => {
+    const phone = document.getElementById("reminderPhoneInput").value.replace(/[^\d+]/g, "");
+    if (phone.length < 10) {
+      showToast("Enter a phone number with area code.", "warning");
+      return;
+    }
+    subscribe(
+      smsBtn,
+      () => saveReminderSubscription({ person: member.name, channel: "sms", target: phone, leadMinutes: leadMinutes() }),
+      "Text reminders on."
+    );
+  });
+
+  await reload();
+  const saved = subscriptions[0]?.lead_minutes;
+  if (saved && REMINDER_LEAD_CHOICES.includes(saved)) leadSelect.value = String(saved);
+}
@@ -0,0 +1,91 @@
+/**
+ * When shift reminders are due and what they say (environment-neutral;
+ * used by scripts/send_reminders.mjs).
+ *
+ * Three reminders per shift:
+ * - "upcoming": the subscription's lead time before the shift starts
+ * - "window_open": when the tent's verify window opens
+ * - "grace_ending": at shift start, with the tent's grace period left
+ *
+ * A reminder is due from its time until it stops being useful (the next
+ * reminder's time, or the window closing), so a late run still sends the
+ * current one but never a stale one.
+ */
+
+import { DEFAULT_TENT } from "./tents.js";
+import { verifyWindowFor } from "./verify_core.js";
+
+export const REMINDER_KINDS = ["upcoming", "window_open", "grace_ending"];
+
+/**
+ * [{ kind, at, until }] for `shift`. The "upcoming" reminder is dropped when
+ * the lead time doesn't reach past the window opening.
+ */
+export function remindersForShift(shift, leadMinutes, tent = DEFAULT_TENT) {
+  const { opensAt, closesAt } = verifyWindowFor(shift, tent);
+  const upcomingAt = new Date(shift.start.getTime() - leadMinutes * 60 * 1000);
+
+  const reminders = [];
+  if (upcomingAt < opensAt) reminders.push({ kind: "upcoming", at: upcomingAt, until: opensAt });
+  reminders.push({ kind: "window_open", at: opensAt, until: shift.start });
+  reminders.push({ kind: "grace_ending", at: shift.start, until: closesAt });
+  return reminders;
+}
+
+/**
+ * Reminders to send now: [{ subscription, shift, kind }].
+ *
+ * `subscriptions` are reminder_subscriptions rows; `sentKeys` is a Set of
+ * `${subscription_id}|${shift_id}|${kind}` already sent; `settledShiftIds`
+ * is a Set of shifts already checked in, excused or covered (no point
+ * reminding). `shifts` all belong to `tent`.
+ */
+export function dueReminders({
+  shifts,
+  subscriptions,
+  sentKeys,
+  settledShiftIds,
+  now = new Date(),
+  tent = DEFAULT_TENT,
+}) {
+  const due = [];
+
+  for (const sub of subscriptions) {
+    for (const shift of shifts) {
+      if (shift.person !== sub.person || settledShiftIds.has(shift.shiftId)) continue;
+
+      for (const { kind, at, until } of remindersForShift(shift, sub.lead_minutes, tent)) {
+        if (now < at || now >= until) continue;
+        if (sentKeys.has(`${sub.id}|${shift.shiftId}|${kind}`)) continue;
+        due.push({ subscription: sub, shift, kind });
+      }
+    }
+  }
+
+  return due;
+}
+
+/**
+ * { title, body } for a reminder. `formatTime` renders a Date for the
+ * message (the caller picks locale / zone).
+ */
+export function reminderMessage(kind, shift, formatTime, tent = DEFAULT_TENT) {
+  const start = formatTime(shift.start);
+
+  if (kind === "upcoming") {
+    return {
+      title: "Tent shift coming up",
+      body: `Your shift starts at ${start}. Check-in opens ${tent.verifyBeforeMinutes} minutes before.`,
+    };
+  }
+  if (kind === "window_open") {
+    return {
+      title: "Check in now",
+      body: `Verification is open for your ${start} shift.`,
+    };
+  }
+  return {
+    title: "Last chance to check in",
+    body: `Your shift started at ${start}. Verify in the next ${tent.verifyAfterMinutes} minutes or it will be marked missed.`,
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Team-wide "who is on right now" logic (environment-neutral).
+ */
+
+/**
+ * From every person's shifts, the ones in progress at `now` and the group
+ * that starts next (all shifts sharing the earliest start after `now`).
+ */
+export function computeRosterNow(shifts, now = new Date()) {
+  const onNow = shifts
+    .filter((s) => s.start <= now && now < s.end)
+    .sort((a, b) => a.person.localeCompare(b.person));
+
+  const upcoming = shifts.filter((s) => s.start > now);
+  if (!upcoming.length) return { onNow, upNext: [] };
+
+  const nextStart = Math.min(...upcoming.map((s) => s.start.getTime()));
+  const upNext = upcoming
+    .filter((s) => s.start.getTime() === nextStart)
+    .sort((a, b) => a.person.localeCompare(b.person));
+
+  return { onNow, upNext };
+}
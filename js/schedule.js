@@ -1,157 +1,109 @@
 /**
- * Loads and interprets schedule.csv.
+ * Loads schedule.csv in the browser and re-exports the shared schedule logic.
  *
- * CSV format:
- * Time,Alex,Cole,...,Vincent
- * 1/18/2026 12:00:00,FALSE,TRUE,...
- *
- * Interpretation:
- * - Each row is a timestamp.
- * - For each person, TRUE means they are “on” starting at that row time
- *   until the next row time (irregular spacing allowed).
- * - We convert TRUE runs into shifts: [start, end).
+ * Parsing and shift building live in schedule_core.js so the sweep script
+ * computes exactly the same shifts (and shift IDs) as the UI.
  */
 
-import { SCHEDULE_CSV_PATH, DAYS_PER_WEEK } from "./config.js";
+import { DAYS_PER_WEEK, SCHEDULE_TIME_ZONE } from "./config.js";
+import { parseScheduleCSV } from "./schedule_core.js";
+import { DEFAULT_TENT, DEFAULT_TENT_ID } from "./tents.js";
+import { addZonedDays } from "./timezone.js";
 
-function parseLocalTimeToDate(timeStr) {
-  if (!timeStr || typeof timeStr !== "string") {
-    return null;
-  }
+export {
+  buildShiftsForPerson,
+  buildAllShifts,
+  applySwaps,
+  diffSchedules,
+  serializeScheduleCSV,
+  shiftId,
+} from "./schedule_core.js";
 
-  const trimmed = timeStr.trim();
-  if (!trimmed) {
-    return null;
-  }
+const LAST_SCHEDULE_KEY = "tenting.lastScheduleCSV";
 
-  const [datePart, timePart] = trimmed.split(" ");
-  if (!datePart || !timePart) {
-    return null;
-  }
-
-  const [month, day, year] = datePart.split("/").map(Number);
-  const [hour, minute] = timePart.split(":").map(Number);
-
-  if (
-    [month, day, year, hour, minute].some((n) => Number.isNaN(n))
-  ) {
-    return null;
-  }
+// Zone dates are shown and weeks paged in: the current tent's (see
+// setScheduleTimeZone); every function below also takes one explicitly.
+let activeTimeZone = SCHEDULE_TIME_ZONE;
 
-  return new Date(year, month - 1, day, hour, minute);
+export function setScheduleTimeZone(timeZone) {
+  activeTimeZone = timeZone;
 }
 
+export function scheduleTimeZone() {
+  return activeTimeZone;
+}
 
+function lastScheduleKey(tentId) {
+  return tentId === DEFAULT_TENT_ID ? LAST_SCHEDULE_KEY : `${LAST_SCHEDULE_KEY}.${tentId}`;
+}
 
-export async function loadScheduleCSV() {
-  const res = await fetch(SCHEDULE_CSV_PATH, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to fetch ${SCHEDULE_CSV_PATH}: ${res.status}`);
-  const text = await res.text();
-
-  const parsed = Papa.parse(text.trim(), {
-    header: true,
-    skipEmptyLines: true,
-  });
+async function fetchScheduleText(fetchSavedCSV, csvPath) {
+  const saved = fetchSavedCSV ? await fetchSavedCSV() : null;
+  if (saved) return saved;
 
-  if (parsed.errors?.length) {
-    console.warn("CSV parse warnings:", parsed.errors);
-  }
-
-  const rows = parsed.data;
-  if (!rows.length) throw new Error("schedule.csv appears empty.");
-
-  // Determine people from headers (all columns except Time)
-  const headers = Object.keys(rows[0]);
-  const people = headers.filter((h) => h && h.trim() !== "Time");
-
-  // Convert to timeline array with sorted time
-  const timeline = rows
-    .map((r) => {
-      const t = parseLocalTimeToDate(r.Time);
-
-      if (!t) {
-        console.warn("Skipping row with invalid Time:", r);
-        return null;
-      }
-      if (isNaN(t.getTime())) {
-        console.error("Invalid date parsed from CSV:", r.Time);
-      }
-
-      const flags = {};
-      for (const p of people) {
-        const v = String(r[p] ?? "").trim().toUpperCase();
-        flags[p] = v === "TRUE";
-      }
-      return { time: t, flags };
-    })
-    .sort((a, b) => a.time - b.time);
-
-  return { people, timeline };
+  const res = await fetch(csvPath, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to fetch ${csvPath}: ${res.status}`);
+  return res.text();
 }
 
-export function buildShiftsForPerson(timeline, person) {
-  const shifts = [];
-  if (timeline.length < 2) return shifts;
-
-  let inShift = false;
-  let start = null;
-
-  for (let i = 0; i < timeline.length - 1; i++) {
-    const cur = timeline[i];
-    const next = timeline[i + 1];
-
-    const isOn = !!cur.flags[person];
-
-    if (!inShift && isOn) {
-      inShift = true;
-      start = cur.time;
-    }
-
-    // Shift ends when it becomes FALSE at the next row OR we reach last segment
-    const nextIsOn = !!next.flags[person];
-    if (inShift && !nextIsOn) {
-      const startISO = start.toISOString();
-      shifts.push({
-        person,
-        start: start,
-        end: next.time,
-        shiftId: shiftId(person, startISO),
-      });
-      inShift = false;
-      start = null;
-    }
-  }
-
-  // If it ends still "on", close at last known time (best-effort)
-  if (inShift) {
-    const startISO = start.toISOString();
-    shifts.push({
-      person,
-      start,
-      end: timeline[timeline.length - 1].time,
-      shiftId: shiftId(person, startISO),
-    });
+/**
+ * Load `tent`'s schedule (tents.js). `fetchSavedCSV` (optional) returns the
+ * CSV of the latest editor-saved version, or null to use the tent's CSV file.
+ *
+ * The last schedule loaded is kept in localStorage and used when offline, so
+ * shift IDs match what the verify endpoint will see when check-ins replay.
+ */
+export async function loadScheduleCSV(fetchSavedCSV = null, tent = DEFAULT_TENT) {
+  const key = lastScheduleKey(tent.id);
+  let text;
+  try {
+    text = await fetchScheduleText(fetchSavedCSV, tent.scheduleCsvPath);
+    localStorage.setItem(key, text);
+  } catch (e) {
+    text = localStorage.getItem(key);
+    if (!text) throw e;
+    console.warn("Schedule fetch failed; using the last loaded copy.", e);
   }
 
-  return shifts;
+  return parseScheduleCSV(text, Papa, { timeZone: tent.timeZone });
 }
 
-export function getWeekBounds(anchorDate, weekIndex) {
-  const start = new Date(anchorDate);
-  start.setDate(start.getDate() + weekIndex * DAYS_PER_WEEK);
-
-  const end = new Date(start);
-  end.setDate(end.getDate() + DAYS_PER_WEEK);
+/**
+ * Week boundaries step by calendar days in the schedule's time zone, so
+ * weeks keep starting at the anchor's wall-clock time across DST changes.
+ */
+export function getWeekBounds(anchorDate, weekIndex, timeZone = activeTimeZone) {
+  const start = addZonedDays(anchorDate, weekIndex * DAYS_PER_WEEK, timeZone);
+  const end = addZonedDays(start, DAYS_PER_WEEK, timeZone);
 
   return { start, end };
 }
 
+/**
+ * Week ranges covering the schedule, anchored at its first timestamp
+ * (none for a schedule with no rows).
+ */
+export function scheduleWeeks(schedule, timeZone = activeTimeZone) {
+  if (!schedule.timeline.length) return [];
+  const anchor = schedule.timeline[0].time;
+  const last = schedule.timeline[schedule.timeline.length - 1].time;
+
+  const weeks = [];
+  for (let i = 0; ; i++) {
+    const bounds = getWeekBounds(anchor, i, timeZone);
+    if (bounds.start > last) break;
+    weeks.push(bounds);
+  }
+  return weeks;
+}
+
 export function filterShiftsInRange(shifts, rangeStart, rangeEnd) {
   return shifts.filter((s) => s.end > rangeStart && s.start < rangeEnd);
 }
 
-export function formatDateTime(dt) {
+export function formatDateTime(dt, timeZone = activeTimeZone) {
   return new Intl.DateTimeFormat(undefined, {
+    timeZone,
     weekday: "short",
     month: "short",
     day: "numeric",
@@ -160,8 +112,9 @@ export function formatDateTime(dt) {
   }).format(dt);
 }
 
-export function formatDate(dt) {
+export function formatDate(dt, timeZone = activeTimeZone) {
   return new Intl.DateTimeFormat(undefined, {
+    timeZone,
     weekday: "short",
     month: "short",
     day: "numeric",
@@ -169,6 +122,9 @@ export function formatDate(dt) {
   }).format(dt);
 }
 
-export function shiftId(person, startISO) {
-  return `${person}__${startISO}`;
+/**
+ * "Wed, Jan 28, 2026 → Tue, Feb 3, 2026" for a [start, end) week.
+ */
+export function formatWeekRange({ start, end }) {
+  return `${formatDate(start)} → ${formatDate(new Date(end.getTime() - 1))}`;
 }
@@ -0,0 +1,230 @@
+/**
+ * Environment-neutral schedule logic, shared by the browser (schedule.js)
+ * and the Node scripts (scripts/mark_missed.mjs).
+ *
+ * Nothing in here touches the DOM, fetch or the filesystem: callers hand in
+ * the CSV text and a Papa Parse instance (the global `Papa` in the browser,
+ * `import Papa from "papaparse"` in Node).
+ *
+ * CSV format:
+ * Time,Alex,Cole,...,Vincent
+ * 1/18/2026 12:00:00,FALSE,TRUE,...
+ *
+ * Interpretation:
+ * - Each row is a timestamp.
+ * - For each person, TRUE means they are “on” starting at that row time
+ *   until the next row time (irregular spacing allowed).
+ * - We convert TRUE runs into shifts: [start, end).
+ * - Times are wall-clock times in SCHEDULE_TIME_ZONE (not the device zone).
+ */
+
+import { SCHEDULE_TIME_ZONE, SWAP_REQUIRES_ADMIN_APPROVAL } from "./config.js";
+import { zonedParts, zonedTimeToDate } from "./timezone.js";
+
+export function parseScheduleTime(timeStr, timeZone = SCHEDULE_TIME_ZONE) {
+  if (!timeStr || typeof timeStr !== "string") {
+    return null;
+  }
+
+  const trimmed = timeStr.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const [datePart, timePart] = trimmed.split(" ");
+  if (!datePart || !timePart) {
+    return null;
+  }
+
+  const [month, day, year] = datePart.split("/").map(Number);
+  const [hour, minute] = timePart.split(":").map(Number);
+
+  if (
+    [month, day, year, hour, minute].some((n) => Number.isNaN(n))
+  ) {
+    return null;
+  }
+
+  return zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * Inverse of parseScheduleTime: "1/28/2026 7:00" style, 24-hour clock.
+ */
+export function formatScheduleTime(date, timeZone = SCHEDULE_TIME_ZONE) {
+  const p = zonedParts(date, timeZone);
+  return `${p.month}/${p.day}/${p.year} ${p.hour}:${String(p.minute).padStart(2, "0")}`;
+}
+
+/**
+ * Parse schedule CSV text into { people, timeline, shifts }.
+ * Rows with an unparseable Time are skipped with a warning.
+ */
+export function parseScheduleCSV(text, papa, { timeZone = SCHEDULE_TIME_ZONE } = {}) {
+  const parsed = papa.parse(String(text ?? "").trim(), {
+    header: true,
+    skipEmptyLines: true,
+  });
+
+  if (parsed.errors?.length) {
+    console.warn("CSV parse warnings:", parsed.errors);
+  }
+
+  const rows = parsed.data;
+  if (!rows.length) throw new Error("schedule.csv appears empty.");
+
+  // Determine people from headers (all columns except Time)
+  const headers = parsed.meta?.fields ?? Object.keys(rows[0]);
+  const people = headers.filter((h) => h && h.trim() !== "Time");
+
+  // Convert to timeline array with sorted time
+  const timeline = rows
+    .map((r) => {
+      const t = parseScheduleTime(r.Time, timeZone);
+
+      if (!t || isNaN(t.getTime())) {
+        console.warn("Skipping row with invalid Time:", r);
+        return null;
+      }
+
+      const flags = {};
+      for (const p of people) {
+        const v = String(r[p] ?? "").trim().toUpperCase();
+        flags[p] = v === "TRUE";
+      }
+      return { time: t, flags };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+
+  return { people, timeline, shifts: buildAllShifts(timeline, people) };
+}
+
+export function buildShiftsForPerson(timeline, person) {
+  const shifts = [];
+  if (timeline.length < 2) return shifts;
+
+  let inShift = false;
+  let start = null;
+
+  for (let i = 0; i < timeline.length - 1; i++) {
+    const cur = timeline[i];
+    const next = timeline[i + 1];
+
+    const isOn = !!cur.flags[person];
+
+    if (!inShift && isOn) {
+      inShift = true;
+      start = cur.time;
+    }
+
+    // Shift ends when it becomes FALSE at the next row OR we reach last segment
+    const nextIsOn = !!next.flags[person];
+    if (inShift && !nextIsOn) {
+      shifts.push({
+        person,
+        start,
+        end: next.time,
+        shiftId: shiftId(person, start.toISOString()),
+      });
+      inShift = false;
+      start = null;
+    }
+  }
+
+  // If it ends still "on", close at last known time (best-effort)
+  if (inShift) {
+    shifts.push({
+      person,
+      start,
+      end: timeline[timeline.length - 1].time,
+      shiftId: shiftId(person, start.toISOString()),
+    });
+  }
+
+  return shifts;
+}
+
+/**
+ * Shifts for every person, in roster order.
+ */
+export function buildAllShifts(timeline, people) {
+  const shifts = [];
+  for (const p of people) {
+    shifts.push(...buildShiftsForPerson(timeline, p));
+  }
+  return shifts;
+}
+
+/**
+ * Schedule back to CSV text in the `Time,Name,...` format parseScheduleCSV
+ * reads (CRLF line endings, no trailing newline, like data/schedule.csv).
+ */
+export function serializeScheduleCSV({ people, timeline }, papa, { timeZone = SCHEDULE_TIME_ZONE } = {}) {
+  return papa.unparse(
+    {
+      fields: ["Time", ...people],
+      data: timeline.map((row) => [
+        formatScheduleTime(row.time, timeZone),
+        ...people.map((p) => (row.flags[p] ? "TRUE" : "FALSE")),
+      ]),
+    },
+    { newline: "\r\n" }
+  );
+}
+
+/**
+ * Per-person shift changes between two schedules:
+ * { [person]: { gained: [shift], lost: [shift] } }, only for people with
+ * changes. A shift whose start or end moved counts as lost + gained.
+ */
+export function diffSchedules(before, after) {
+  const key = (s) => `${s.shiftId}__${s.end.toISOString()}`;
+  const beforeKeys = new Set(before.shifts.map(key));
+  const afterKeys = new Set(after.shifts.map(key));
+
+  const diff = {};
+  const entry = (person) => (diff[person] ??= { gained: [], lost: [] });
+
+  for (const s of after.shifts) if (!beforeKeys.has(key(s))) entry(s.person).gained.push(s);
+  for (const s of before.shifts) if (!afterKeys.has(key(s))) entry(s.person).lost.push(s);
+
+  return diff;
+}
+
+/**
+ * Whether a `shift_swaps` row should change who is responsible:
+ * accepted (when no approval is required) or approved by an admin.
+ */
+export function isActiveSwap(swap, requiresApproval = SWAP_REQUIRES_ADMIN_APPROVAL) {
+  return swap.status === "approved" || (!requiresApproval && swap.status === "accepted");
+}
+
+/**
+ * Overlay active swaps on the CSV timeline: for rows inside a swapped shift,
+ * the offering person is off and the taker is on. Swaps apply in the order
+ * given (oldest first), so a shift can be passed along more than once.
+ * Returns a new { people, timeline, shifts }; the input is not modified.
+ */
+export function applySwaps(schedule, swaps, requiresApproval = SWAP_REQUIRES_ADMIN_APPROVAL) {
+  const active = swaps.filter((sw) => isActiveSwap(sw, requiresApproval) && sw.to_person);
+  if (!active.length) return schedule;
+
+  const timeline = schedule.timeline.map((row) => ({ time: row.time, flags: { ...row.flags } }));
+  for (const sw of active) {
+    const start = new Date(sw.shift_start);
+    const end = new Date(sw.shift_end);
+    for (const row of timeline) {
+      if (row.time >= start && row.time < end) {
+        row.flags[sw.from_person] = false;
+        row.flags[sw.to_person] = true;
+      }
+    }
+  }
+
+  return { ...schedule, timeline, shifts: buildAllShifts(timeline, schedule.people) };
+}
+
+export function shiftId(person, startISO) {
+  return `${person}__${startISO}`;
+}
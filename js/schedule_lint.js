@@ -0,0 +1,148 @@
+/**
+ * Schedule CSV validation (environment-neutral).
+ *
+ * parseScheduleCSV is deliberately forgiving: bad times are skipped and any
+ * cell other than TRUE counts as FALSE. This reports what it would hide:
+ *
+ * Errors
+ * - unparseable or out-of-range times
+ * - duplicate or out-of-order timestamps
+ * - cells that are not TRUE/FALSE (blank is allowed and means FALSE)
+ * - blank or duplicate (case-insensitive) names
+ *
+ * Warnings
+ * - names not in "Capitalized" form, or not matching a `members` row exactly
+ *   (sign-in maps an email to members.name, which must equal the header)
+ * - zero-length shifts, shifts longer than `maxShiftHours`, and TRUE on the
+ *   last row (which never becomes a shift)
+ *
+ * Issues are { level: "error" | "warning", line, message }, where line is
+ * the 1-based line in the CSV text (1 is the header) or null.
+ */
+
+import { SCHEDULE_TIME_ZONE } from "./config.js";
+import { buildAllShifts, formatScheduleTime, parseScheduleTime } from "./schedule_core.js";
+
+export const DEFAULT_MAX_SHIFT_HOURS = 12;
+
+const BOOLEAN_CELLS = new Set(["TRUE", "FALSE", ""]);
+
+function timeInRange(timeStr) {
+  const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4}) (\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(timeStr.trim());
+  if (!m) return false;
+  const [month, day, year, hour, minute] = m.slice(1, 6).map(Number);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth && hour <= 23 && minute <= 59;
+}
+
+function capitalized(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+}
+
+/**
+ * Validate schedule CSV text. `memberNames`, if given, is the list of
+ * members.name values to check the header against.
+ */
+export function lintScheduleCSV(
+  text,
+  papa,
+  { timeZone = SCHEDULE_TIME_ZONE, maxShiftHours = DEFAULT_MAX_SHIFT_HOURS, memberNames = null } = {}
+) {
+  const issues = [];
+  const error = (line, message) => issues.push({ level: "error", line, message });
+  const warning = (line, message) => issues.push({ level: "warning", line, message });
+
+  const parsed = papa.parse(String(text ?? "").trim(), { header: false, skipEmptyLines: false });
+  const [header = [], ...rows] = parsed.data;
+
+  if (header[0]?.trim() !== "Time") error(1, `First column must be "Time" (got "${header[0] ?? ""}").`);
+
+  // Names
+  const people = [];
+  const seen = new Map();
+  header.slice(1).forEach((raw, i) => {
+    const name = String(raw ?? "").trim();
+    const col = i + 2;
+    if (!name) {
+      error(1, `Column ${col} has a blank name.`);
+      return;
+    }
+    if (name !== raw) warning(1, `"${raw}" has surrounding spaces.`);
+
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      error(1, `"${name}" duplicates "${seen.get(key)}" (names are compared case-insensitively).`);
+      return;
+    }
+    seen.set(key, name);
+    people.push({ name, index: i + 1 });
+
+    if (name !== capitalized(name)) {
+      warning(1, `"${name}" is not capitalized like "${capitalized(name)}"; check members.name matches it exactly.`);
+    }
+    if (memberNames && !memberNames.includes(name)) {
+      const near = memberNames.find((m) => m.toLowerCase() === key);
+      warning(
+        1,
+        near
+          ? `"${name}" only matches members.name "${near}" ignoring case, so ${near} will not see their shifts.`
+          : `"${name}" has no members row, so nobody can sign in as them.`
+      );
+    }
+  });
+
+  // Rows
+  const timeline = [];
+  let prev = null;
+  rows.forEach((cells, i) => {
+    const line = i + 2;
+    if (cells.length === 1 && !String(cells[0]).trim()) return; // blank line
+
+    const timeStr = String(cells[0] ?? "");
+    const time = timeInRange(timeStr) ? parseScheduleTime(timeStr, timeZone) : null;
+    if (!time) {
+      error(line, `Unparseable time "${timeStr}" (expected M/D/YYYY H:MM); the row would be skipped.`);
+      return;
+    }
+
+    if (prev && time.getTime() === prev.getTime()) {
+      error(line, `Duplicate timestamp ${formatScheduleTime(time, timeZone)}.`);
+    } else if (prev && time < prev) {
+      error(line, `${formatScheduleTime(time, timeZone)} is earlier than the row above it.`);
+    }
+    prev = time;
+
+    if (cells.length > header.length) error(line, `Row has ${cells.length} cells but the header has ${header.length}.`);
+
+    const flags = {};
+    for (const { name, index } of people) {
+      const v = String(cells[index] ?? "").trim().toUpperCase();
+      if (!BOOLEAN_CELLS.has(v)) error(line, `${name}: "${cells[index]}" is not TRUE or FALSE; it counts as FALSE.`);
+      flags[name] = v === "TRUE";
+    }
+    timeline.push({ time, flags, line });
+  });
+
+  // Shifts, built the way the loader builds them (sorted timeline).
+  timeline.sort((a, b) => a.time - b.time);
+  const lineAt = new Map(timeline.map((row) => [row.time.getTime(), row.line]));
+  const maxMs = maxShiftHours * 60 * 60 * 1000;
+
+  for (const s of buildAllShifts(timeline, people.map((p) => p.name))) {
+    const line = lineAt.get(s.start.getTime()) ?? null;
+    const span = `${formatScheduleTime(s.start, timeZone)} - ${formatScheduleTime(s.end, timeZone)}`;
+    const ms = s.end - s.start;
+    if (ms <= 0) {
+      warning(line, `${s.person}: zero-length shift at ${formatScheduleTime(s.start, timeZone)}.`);
+    } else if (ms > maxMs) {
+      warning(line, `${s.person}: ${Math.round((ms / 3600000) * 10) / 10}h shift ${span} is longer than ${maxShiftHours}h.`);
+    }
+  }
+
+  const last = timeline[timeline.length - 1];
+  for (const name of last ? people.map((p) => p.name).filter((n) => last.flags[n]) : []) {
+    warning(last.line, `${name}: TRUE on the last row is ignored (there is no row after it to end the shift).`);
+  }
+
+  return issues.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+}
@@ -0,0 +1,126 @@
+/**
+ * Per-person attendance statistics (environment-neutral).
+ *
+ * Combines shifts computed from schedule.csv with `attendance` rows, so a
+ * shift with no row is counted as unrecorded: "past" once it has started,
+ * "upcoming" before that.
+ *
+ * Late shifts count as attended, with hours credited minus the minutes
+ * missed. Excused and covered shifts are neither attended nor missed, so
+ * they leave the attendance rate alone; a covered shift's hours are credited
+ * to the substitute (`covered_by`) instead.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function hours(shift) {
+  return (shift.end - shift.start) / HOUR_MS;
+}
+
+/**
+ * Stats per person for shifts starting in [rangeStart, rangeEnd)
+ * (whole season if the range is omitted):
+ * { person, shifts, scheduledHours, verifiedHours, creditedHours, verifiedCount,
+ *   lateCount, excusedCount, coveredCount, coversTaken, missedCount,
+ *   overrideCount, unrecordedPast, upcoming, attendanceRate }
+ *
+ * creditedHours is verified hours, plus late shifts minus the late minutes,
+ * plus shifts covered for others. attendanceRate is (verified + late) /
+ * started shifts that weren't excused or covered (null before any).
+ */
+export function computeAttendanceStats({
+  shifts,
+  people,
+  records,
+  rangeStart = null,
+  rangeEnd = null,
+  now = new Date(),
+}) {
+  const byId = new Map(records.map((r) => [r.shift_id, r]));
+  const stats = new Map(
+    people.map((person) => [
+      person,
+      {
+        person,
+        shifts: 0,
+        scheduledHours: 0,
+        verifiedHours: 0,
+        creditedHours: 0,
+        verifiedCount: 0,
+        lateCount: 0,
+        excusedCount: 0,
+        coveredCount: 0,
+        coversTaken: 0,
+        missedCount: 0,
+        overrideCount: 0,
+        unrecordedPast: 0,
+        upcoming: 0,
+        attendanceRate: null,
+      },
+    ])
+  );
+
+  for (const s of shifts) {
+    if (rangeStart && s.start < rangeStart) continue;
+    if (rangeEnd && s.start >= rangeEnd) continue;
+
+    const row = stats.get(s.person);
+    if (!row) continue;
+
+    const rec = byId.get(s.shiftId);
+    row.shifts += 1;
+    row.scheduledHours += hours(s);
+
+    if (rec?.overridden) row.overrideCount += 1;
+
+    if (rec?.status === "verified") {
+      row.verifiedCount += 1;
+      row.verifiedHours += hours(s);
+      row.creditedHours += hours(s);
+    } else if (rec?.status === "late") {
+      row.lateCount += 1;
+      row.creditedHours += Math.max(0, hours(s) - (rec.late_minutes ?? 0) / 60);
+    } else if (rec?.status === "excused") {
+      row.excusedCount += 1;
+    } else if (rec?.status === "covered") {
+      row.coveredCount += 1;
+      const sub = stats.get(rec.covered_by);
+      if (sub) {
+        sub.coversTaken += 1;
+        sub.creditedHours += hours(s);
+      }
+    } else if (rec?.status === "missed") {
+      row.missedCount += 1;
+    } else if (s.start <= now) {
+      row.unrecordedPast += 1;
+    } else {
+      row.upcoming += 1;
+    }
+  }
+
+  for (const row of stats.values()) {
+    const counted = row.shifts - row.upcoming - row.excusedCount - row.coveredCount;
+    row.attendanceRate = counted > 0 ? (row.verifiedCount + row.lateCount) / counted : null;
+  }
+
+  return [...stats.values()];
+}
+
+const SORTERS = {
+  name: (a, b) => a.person.localeCompare(b.person),
+  rate: (a, b) => (a.attendanceRate ?? 2) - (b.attendanceRate ?? 2),
+  missed: (a, b) => b.missedCount - a.missedCount,
+  scheduled: (a, b) => b.scheduledHours - a.scheduledHours,
+  verified: (a, b) => b.verifiedHours - a.verifiedHours,
+  credited: (a, b) => b.creditedHours - a.creditedHours,
+};
+
+/**
+ * Sort stats rows by "name", "rate" (worst first), "missed" (most first),
+ * "scheduled", "verified" or "credited" (most hours first). Ties fall back
+ * to name.
+ */
+export function sortStats(rows, key = "name") {
+  const cmp = SORTERS[key] ?? SORTERS.name;
+  return [...rows].sort((a, b) => cmp(a, b) || SORTERS.name(a, b));
+}
@@ -0,0 +1,133 @@
+/**
+ * Shift swap UI: open offers members can take, and (when
+ * SWAP_REQUIRES_ADMIN_APPROVAL) the admin approval queue.
+ *
+ * Swaps live in the `shift_swaps` table; active ones are overlaid on the CSV
+ * timeline by applySwaps (schedule_core.js).
+ */
+
+import { SWAP_REQUIRES_ADMIN_APPROVAL } from "./config.js";
+import { acceptSwap, decideSwap } from "./db.js";
+import { formatDateTime } from "./schedule.js";
+import { clearChildren, setVisible, showToast } from "./ui.js";
+
+function emptyRow(text) {
+  const el = document.createElement("div");
+  el.className = "text-muted";
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Open offers (not the member's own) for upcoming shifts, with a
+ * "Take shift" button. Offers overlapping one of `myShifts` can't be taken.
+ * `onChange` runs after a successful accept.
+ */
+export function renderSwapOffers({ swaps, me, myShifts, onChange }) {
+  clearChildren("swapOffersList");
+  const list = document.getElementById("swapOffersList");
+  const now = new Date();
+
+  const offers = swaps.filter(
+    (sw) => sw.status === "offered" && sw.from_person !== me && new Date(sw.shift_start) > now
+  );
+
+  if (!offers.length) {
+    list.appendChild(emptyRow("No open swap offers."));
+    return;
+  }
+
+  for (const sw of offers) {
+    const start = new Date(sw.shift_start);
+    const end = new Date(sw.shift_end);
+    const clash = myShifts.some((s) => s.start < end && s.end > start);
+
+    const item = document.createElement("div");
+    item.className = "list-group-item shadow-sm";
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div>
+          <div class="fw-semibold">${sw.from_person}</div>
+          <div class="text-muted small">${formatDateTime(start)} → ${formatDateTime(end)}</div>
+          ${clash ? `<div class="small text-muted mt-1">Overlaps one of your shifts</div>` : ""}
+        </div>
+        <button class="btn btn-sm btn-outline-primary" ${clash ? "disabled" : ""}>Take shift</button>
+      </div>
+    `;
+
+    const btn = item.querySelector("button");
+    btn.addEventListener("click", async () => {
+      try {
+        btn.disabled = true;
+        await acceptSwap(sw.id, me);
+        showToast(
+          SWAP_REQUIRES_ADMIN_APPROVAL
+            ? `Took ${sw.from_person}'s shift. It moves to you once an admin approves.`
+            : `Took ${sw.from_person}'s shift. It's yours now.`,
+          "success"
+        );
+        await onChange();
+      } catch (e) {
+        console.error(e);
+        showToast(`Couldn't take shift: ${e.message ?? e}`, "danger");
+        btn.disabled = false;
+      }
+    });
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Accepted swaps awaiting an admin decision. Hidden entirely when approval
+ * isn't required.
+ */
+export function renderSwapApprovals({ swaps, adminName, onChange }) {
+  setVisible("adminSwapCard", SWAP_REQUIRES_ADMIN_APPROVAL);
+  if (!SWAP_REQUIRES_ADMIN_APPROVAL) return;
+
+  clearChildren("adminSwapList");
+  const list = document.getElementById("adminSwapList");
+  const pending = swaps.filter((sw) => sw.status === "accepted");
+
+  if (!pending.length) {
+    list.appendChild(emptyRow("No swaps waiting for approval."));
+    return;
+  }
+
+  for (const sw of pending) {
+    const item = document.createElement("div");
+    item.className = "list-group-item shadow-sm";
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-3">
+        <div>
+          <div class="fw-semibold">${sw.from_person} → ${sw.to_person}</div>
+          <div class="text-muted small">
+            ${formatDateTime(new Date(sw.shift_start))} → ${formatDateTime(new Date(sw.shift_end))}
+          </div>
+        </div>
+        <div class="d-flex gap-2">
+          <button class="btn btn-sm btn-outline-success" data-decision="approved">Approve</button>
+          <button class="btn btn-sm btn-outline-danger" data-decision="denied">Deny</button>
+        </div>
+      </div>
+    `;
+
+    for (const btn of item.querySelectorAll("button")) {
+      btn.addEventListener("click", async () => {
+        try {
+          btn.disabled = true;
+          await decideSwap(sw.id, btn.dataset.decision, adminName);
+          showToast(`Swap ${btn.dataset.decision}.`, "success");
+          await onChange();
+        } catch (e) {
+          console.error(e);
+          showToast(`Couldn't update swap: ${e.message ?? e}`, "danger");
+          btn.disabled = false;
+        }
+      });
+    }
+
+    list.appendChild(item);
+  }
+}
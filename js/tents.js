@@ -0,0 +1,59 @@
+/**
+ * Tent (group) settings (environment-neutral).
+ *
+ * One deployment can serve several tents, each a row in the `tents` table
+ * (sql/011_tents.sql) with its own schedule, geofence and verify windows.
+ * Settings a row leaves null fall back to js/config.js, which is also the
+ * whole of DEFAULT_TENT ("main", everything that predates tents).
+ */
+
+import {
+  GEOFENCE,
+  NIGHT_END_HOUR,
+  NIGHT_START_HOUR,
+  SCHEDULE_CSV_PATH,
+  SCHEDULE_TIME_ZONE,
+  TARGET_COORD,
+  TENT_CHECK_MIN_DAY,
+  TENT_CHECK_MIN_NIGHT,
+  VERIFY_AFTER_MINUTES,
+  VERIFY_BEFORE_MINUTES,
+} from "./config.js";
+
+export const DEFAULT_TENT_ID = "main";
+
+export const DEFAULT_TENT = Object.freeze({
+  id: DEFAULT_TENT_ID,
+  name: "Main tent",
+  scheduleCsvPath: SCHEDULE_CSV_PATH,
+  timeZone: SCHEDULE_TIME_ZONE,
+  geofence: GEOFENCE,
+  targetCoord: TARGET_COORD,
+  verifyBeforeMinutes: VERIFY_BEFORE_MINUTES,
+  verifyAfterMinutes: VERIFY_AFTER_MINUTES,
+  tentCheckMinDay: TENT_CHECK_MIN_DAY,
+  tentCheckMinNight: TENT_CHECK_MIN_NIGHT,
+  nightStartHour: NIGHT_START_HOUR,
+  nightEndHour: NIGHT_END_HOUR,
+});
+
+/**
+ * Settings for a `tents` row, with config.js defaults filled in.
+ */
+export function tentSettings(row) {
+  const hasTarget = Number.isFinite(row.target_lat) && Number.isFinite(row.target_lon);
+  return {
+    id: row.id,
+    name: row.name ?? row.id,
+    scheduleCsvPath: row.schedule_csv_path ?? DEFAULT_TENT.scheduleCsvPath,
+    timeZone: row.time_zone ?? DEFAULT_TENT.timeZone,
+    geofence: row.geofence ?? DEFAULT_TENT.geofence,
+    targetCoord: hasTarget ? { lat: row.target_lat, lon: row.target_lon } : DEFAULT_TENT.targetCoord,
+    verifyBeforeMinutes: row.verify_before_minutes ?? DEFAULT_TENT.verifyBeforeMinutes,
+    verifyAfterMinutes: row.verify_after_minutes ?? DEFAULT_TENT.verifyAfterMinutes,
+    tentCheckMinDay: row.tent_check_min_day ?? DEFAULT_TENT.tentCheckMinDay,
+    tentCheckMinNight: row.tent_check_min_night ?? DEFAULT_TENT.tentCheckMinNight,
+    nightStartHour: row.night_start_hour ?? DEFAULT_TENT.nightStartHour,
+    nightEndHour: row.night_end_hour ?? DEFAULT_TENT.nightEndHour,
+  };
+}
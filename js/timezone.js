@@ -0,0 +1,108 @@
+/**
+ * Wall-clock <-> instant conversion for a named IANA time zone.
+ *
+ * schedule.csv times are wall-clock times at the tent, not in whatever zone
+ * the viewing device (or the CI runner) happens to be set to. These helpers
+ * use Intl only, so they behave the same in browsers and in Node.
+ */
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      weekday: "short",
+    });
+    formatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Calendar fields of `date` as seen on a wall clock in `timeZone`.
+ * month is 1-12, weekday is 0 (Sunday) - 6.
+ */
+export function zonedParts(date, timeZone) {
+  const out = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type === "weekday") out.weekday = WEEKDAYS.indexOf(value);
+    else if (type !== "literal") out[type] = Number(value);
+  }
+  return out;
+}
+
+function offsetMs(ms, timeZone) {
+  const p = zonedParts(new Date(ms), timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+/**
+ * The instant at which a wall clock in `timeZone` reads the given fields.
+ *
+ * DST edges: a time that occurs twice (fall back) resolves to the first
+ * occurrence; a time that never occurs (spring forward) is pushed forward
+ * by the gap, e.g. 2:30 becomes 3:30.
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The zone's offsets a day either side; zones change at most once in that
+  // window, so one of them is the offset at the wanted instant, if it exists.
+  const before = offsetMs(wallMs - DAY_MS, timeZone);
+  const after = offsetMs(wallMs + DAY_MS, timeZone);
+  const matches = [before, after]
+    .map((offset) => wallMs - offset)
+    .filter((ms) => wallMs - ms === offsetMs(ms, timeZone));
+  if (matches.length) return new Date(Math.min(...matches));
+
+  // Wall time falls in a DST gap: read it with the offset from before the
+  // gap, which lands the same distance past the change.
+  return new Date(wallMs - before);
+}
+
+/**
+ * Same wall-clock time `days` calendar days later in `timeZone`
+ * (so a week is 7 days even when it spans a DST change).
+ */
+export function addZonedDays(date, days, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return zonedTimeToDate(
+    { year: p.year, month: p.month, day: p.day + days, hour: p.hour, minute: p.minute, second: p.second },
+    timeZone
+  );
+}
+
+/**
+ * Instant for a "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" string (as produced by
+ * <input type="date"> / "datetime-local") read as wall-clock time in
+ * `timeZone`, or null if the string doesn't match.
+ */
+export function parseZonedDateTime(str, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/.exec(String(str ?? "").trim());
+  if (!m) return null;
+  const [year, month, day, hour = 0, minute = 0] = m.slice(1).map((v) => (v === undefined ? undefined : Number(v)));
+  return zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * Midnight at the start of a "YYYY-MM-DD" date in `timeZone`, or null if the
+ * string isn't a date.
+ */
+export function startOfZonedDay(dateStr, timeZone) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(dateStr ?? "").trim())
+    ? parseZonedDateTime(dateStr, timeZone)
+    : null;
+}
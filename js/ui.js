@@ -32,13 +32,68 @@ export function clearChildren(id) {
   el.innerHTML = "";
 }
 
-export function badgeForStatus(status) {
+/**
+ * Save generated text as a file via a temporary object URL.
+ */
+export function downloadFile(filename, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Badge for an attendance status; `rec` (the attendance row) adds the late
+ * minutes or the substitute's name.
+ */
+export function badgeForStatus(status, rec = null) {
   if (status === "verified") return `<span class="badge text-bg-success">Verified</span>`;
   if (status === "missed") return `<span class="badge text-bg-danger">Missed</span>`;
+  if (status === "excused") return `<span class="badge text-bg-info">Excused</span>`;
+  if (status === "late") {
+    const mins = rec?.late_minutes ? ` ${rec.late_minutes} min` : "";
+    return `<span class="badge text-bg-warning">Late${mins}</span>`;
+  }
+  if (status === "covered") {
+    const by = rec?.covered_by ? ` by ${rec.covered_by}` : "";
+    return `<span class="badge text-bg-primary">Covered${by}</span>`;
+  }
   return `<span class="badge text-bg-secondary">Unrecorded</span>`;
 }
 
-export function renderShiftList({ shifts, attendanceMap }) {
+/**
+ * Badge for a check-in queued offline (see checkin_queue.js).
+ */
+export function badgeForQueued(entry) {
+  if (entry.status === "failed") return `<span class="badge text-bg-danger">Check-in rejected</span>`;
+  return `<span class="badge text-bg-warning">Pending upload</span>`;
+}
+
+/**
+ * `openOffers` maps shiftId -> open swap offer for that shift, and
+ * `queuedCheckIns` shiftId -> offline check-in not yet accepted. Upcoming
+ * shifts get an "Offer" button (or "Withdraw" while the offer is untaken)
+ * when the offer callbacks are given.
+ *
+ * `absences` maps shiftId -> the latest absence request for that shift;
+ * upcoming shifts get "Can't make it" (or "Cancel request" while pending)
+ * when the absence callbacks are given.
+ */
+export function renderShiftList({
+  shifts,
+  attendanceMap,
+  queuedCheckIns = new Map(),
+  openOffers = new Map(),
+  absences = new Map(),
+  onOfferClick = null,
+  onWithdrawClick = null,
+  onAbsenceClick = null,
+  onCancelAbsenceClick = null,
+}) {
   const list = document.getElementById("shiftList");
   list.innerHTML = "";
 
@@ -54,27 +109,58 @@ export function renderShiftList({ shifts, attendanceMap }) {
     const key = `${s.person}__${s.start.toISOString()}__${s.end.toISOString()}`;
     const rec = attendanceMap.get(shiftId(s.person, s.start.toISOString()));
     const status = rec?.status ?? "unrecorded";
-
-    console.log("Rendering shift", {
-      shiftIdComputed: shiftId(s.person, s.start.toISOString()),
-      mapHas: attendanceMap.has(shiftId(s.person, s.start.toISOString())),
-      rec: attendanceMap.get(shiftId(s.person, s.start.toISOString())),
-    });
-
+    const queued = status === "verified" ? null : queuedCheckIns.get(s.shiftId);
 
     const item = document.createElement("div");
     item.className = "list-group-item shadow-sm";
 
+    const offer = openOffers.get(s.shiftId);
+    const canOffer = onOfferClick && s.start > new Date() && (!offer || offer.status === "offered");
+    const offerLabel =
+      offer?.status === "accepted" ? `Taken by ${offer.to_person}, awaiting approval` : "Offered for swap";
+
+    const absence = absences.get(s.shiftId);
+    const canRequestAbsence = onAbsenceClick && s.start > new Date();
+    const absenceLabel = {
+      requested: "Absence requested, awaiting approval",
+      approved: "Absence approved: you'll be excused",
+      denied: "Absence request denied",
+    }[absence?.status];
+
     item.innerHTML = `
       <div class="d-flex justify-content-between align-items-start gap-3">
         <div>
           <div class="fw-semibold">${formatDateTime(s.start)} → ${formatDateTime(s.end)}</div>
           <div class="text-muted small">${formatDate(s.start)}</div>
+          ${offer ? `<div class="small text-info-emphasis mt-1">${offerLabel}</div>` : ""}
+          ${queued?.error ? `<div class="small text-danger mt-1">${queued.error}</div>` : ""}
+          ${absenceLabel ? `<div class="small text-info-emphasis mt-1">${absenceLabel}</div>` : ""}
+        </div>
+        <div class="d-flex flex-column gap-2 align-items-end">
+          ${queued ? badgeForQueued(queued) : badgeForStatus(status, rec)}
+          ${
+            canOffer
+              ? `<button class="btn btn-sm btn-outline-secondary" data-action="offer">${offer ? "Withdraw" : "Offer"}</button>`
+              : ""
+          }
+          ${
+            canRequestAbsence && absence?.status !== "approved"
+              ? `<button class="btn btn-sm btn-outline-secondary" data-action="absence">${
+                  absence?.status === "requested" ? "Cancel request" : "Can't make it"
+                }</button>`
+              : ""
+          }
         </div>
-        <div>${badgeForStatus(status)}</div>
       </div>
     `;
 
+    item.querySelector('[data-action="offer"]')?.addEventListener("click", () =>
+      offer ? onWithdrawClick(offer) : onOfferClick(s)
+    );
+    item.querySelector('[data-action="absence"]')?.addEventListener("click", () =>
+      absence?.status === "requested" ? onCancelAbsenceClick(absence) : onAbsenceClick(s)
+    );
+
     list.appendChild(item);
   }
 }
@@ -111,3 +197,35 @@ export function renderVerifyPanel({ upcomingVerifiableShifts, onVerifyClick }) {
     list.appendChild(btn);
   }
 }
+
+/**
+ * Offline check-ins waiting to be sent ("Send now") or rejected by the
+ * endpoint ("Dismiss"). Hidden when there are none.
+ */
+export function renderQueuedCheckIns({ entries, onRetry, onDismiss }) {
+  const panel = document.getElementById("queuedCheckInsPanel");
+  const list = document.getElementById("queuedCheckInsList");
+  list.innerHTML = "";
+  panel.classList.toggle("d-none", !entries.length);
+
+  for (const entry of entries) {
+    const failed = entry.status === "failed";
+    const item = document.createElement("div");
+    item.className = `list-group-item ${failed ? "list-group-item-danger" : "list-group-item-warning"}`;
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center gap-3">
+        <div>
+          <div class="fw-semibold">${formatDateTime(new Date(entry.shiftStartISO))}</div>
+          <div class="small">
+            ${failed ? `Rejected: ${entry.error}` : `Checked in ${formatDateTime(new Date(entry.capturedAt))}, waiting for signal`}
+          </div>
+        </div>
+        <button class="btn btn-sm ${failed ? "btn-outline-danger" : "btn-outline-secondary"}">
+          ${failed ? "Dismiss" : "Send now"}
+        </button>
+      </div>
+    `;
+    item.querySelector("button").addEventListener("click", () => (failed ? onDismiss(entry) : onRetry()));
+    list.appendChild(item);
+  }
+}
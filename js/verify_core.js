@@ -0,0 +1,64 @@
+/**
+ * Check-in rules shared by the browser (to show Verify buttons) and the
+ * verify endpoint (scripts/verify_server.mjs), which is the only thing
+ * allowed to write `verified` rows.
+ */
+
+import { evaluateLocation } from "./geo.js";
+import { shiftId } from "./schedule_core.js";
+import { DEFAULT_TENT } from "./tents.js";
+
+/**
+ * Verification window for a shift: [start - before, start + after], with
+ * the minutes from `tent` (see tents.js).
+ */
+export function verifyWindowFor(shift, tent = DEFAULT_TENT) {
+  const start = shift.start.getTime();
+  return {
+    opensAt: new Date(start - tent.verifyBeforeMinutes * 60 * 1000),
+    closesAt: new Date(start + tent.verifyAfterMinutes * 60 * 1000),
+  };
+}
+
+export function isWithinVerifyWindow(shift, at = new Date(), tent = DEFAULT_TENT) {
+  const { opensAt, closesAt } = verifyWindowFor(shift, tent);
+  return at >= opensAt && at <= closesAt;
+}
+
+/**
+ * Shifts that can be verified right now and have no outcome yet (already
+ * verified, excused, late or covered shifts are settled).
+ */
+export function computeVerifiableShifts(shifts, attendanceMap, now = new Date(), tent = DEFAULT_TENT) {
+  return shifts.filter((s) => {
+    const rec = attendanceMap.get(shiftId(s.person, s.start.toISOString()));
+    if (rec && rec.status !== "missed") return false;
+
+    return isWithinVerifyWindow(s, now, tent);
+  });
+}
+
+/**
+ * Decide whether a check-in attempt counts.
+ * `fix` is the best location fix, `history` earlier fixes (see geo.js);
+ * `tent` supplies the verify window and geofence.
+ * Returns { ok, reason, distMeters, accuracyMeters, flags }; reason is a
+ * user-facing message when !ok.
+ */
+export function evaluateCheckIn({ shift, fix, history = [], at = new Date(), tent = DEFAULT_TENT }) {
+  const rejected = (reason) => ({ ok: false, reason, distMeters: null, accuracyMeters: null, flags: [] });
+
+  if (!shift) {
+    return rejected("No such shift on the schedule.");
+  }
+
+  if (![fix?.latitude, fix?.longitude].every(Number.isFinite)) {
+    return rejected("Missing or invalid coordinates.");
+  }
+
+  if (!isWithinVerifyWindow(shift, at, tent)) {
+    return rejected("Outside this shift's verification window.");
+  }
+
+  return evaluateLocation(fix, history, tent);
+}
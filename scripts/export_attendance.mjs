@@ -0,0 +1,89 @@
+/**
+ * Export attendance: one row per computed shift with its recorded status.
+ *
+ * Usage:
+ *   node scripts/export_attendance.mjs [--tent ID] [--week N | --from YYYY-MM-DD --to YYYY-MM-DD]
+ *                                      [--format csv|json] [--out FILE]
+ *
+ * --tent picks the tent (default "main"). --week is 1-based, counted from the
+ * first schedule timestamp (same weeks as the site). --from/--to are dates in
+ * the tent's time zone, --to inclusive.
+ * Without a range, the whole season is exported. Output goes to stdout
+ * unless --out is given.
+ *
+ * Requires env vars:
+ *  SUPABASE_URL
+ *  SUPABASE_SERVICE_ROLE_KEY
+ */
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { SUPABASE_TABLE } from "../js/config.js";
+import { buildExportRows, exportToCSV, exportToJSON } from "../js/export.js";
+import { scheduleWeeks } from "../js/schedule.js";
+import { addZonedDays, startOfZonedDay } from "../js/timezone.js";
+import { loadScheduleWithSwaps } from "./lib/schedule.mjs";
+import { requireSupabaseEnv, supaFetch } from "./lib/supabase.mjs";
+import { loadTent } from "./lib/tents.mjs";
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function resolveRange(schedule, { week, from, to }, timeZone) {
+  if (week !== undefined) {
+    const weeks = scheduleWeeks(schedule, timeZone);
+    const bounds = weeks[Number(week) - 1];
+    if (!bounds) fail(`--week must be between 1 and ${weeks.length}.`);
+    return { rangeStart: bounds.start, rangeEnd: bounds.end };
+  }
+
+  const rangeStart = from ? startOfZonedDay(from, timeZone) : null;
+  const toDay = to ? startOfZonedDay(to, timeZone) : null;
+  if ((from && !rangeStart) || (to && !toDay)) fail("--from/--to must be YYYY-MM-DD.");
+
+  return { rangeStart, rangeEnd: toDay ? addZonedDays(toDay, 1, timeZone) : null };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      tent: { type: "string" },
+      week: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      format: { type: "string", default: "csv" },
+      out: { type: "string" },
+    },
+  });
+
+  if (!["csv", "json"].includes(values.format)) fail("--format must be csv or json.");
+
+  requireSupabaseEnv();
+
+  const tent = await loadTent(values.tent);
+  const schedule = await loadScheduleWithSwaps(tent);
+  const range = resolveRange(schedule, values, tent.timeZone);
+
+  const filters = [`tent_id=eq.${encodeURIComponent(tent.id)}`];
+  if (range.rangeStart) filters.push(`shift_start=gte.${range.rangeStart.toISOString()}`);
+  if (range.rangeEnd) filters.push(`shift_start=lt.${range.rangeEnd.toISOString()}`);
+  const records = await supaFetch(`${SUPABASE_TABLE}?select=*${filters.map((f) => `&${f}`).join("")}`);
+
+  const rows = buildExportRows({ shifts: schedule.shifts, records, ...range });
+  const text = values.format === "csv" ? exportToCSV(rows, Papa) : exportToJSON(rows);
+
+  if (values.out) {
+    fs.writeFileSync(values.out, `${text}\n`);
+    console.error(`Wrote ${rows.length} shifts to ${values.out}`);
+  } else {
+    process.stdout.write(`${text}\n`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
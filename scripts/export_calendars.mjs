@@ -0,0 +1,53 @@
+/**
+ * Write a static iCalendar feed per member of every tent (calendarFileName
+ * in js/ical.js) from the current schedules with swaps applied, for
+ * calendar apps to subscribe to.
+ * Run by .github/workflows/calendars.yml whenever the schedule may have
+ * changed; members whose shifts didn't change get identical files apart
+ * from DTSTAMP.
+ *
+ * Usage:
+ *   node scripts/export_calendars.mjs [--out DIR]
+ *
+ * Requires env vars:
+ *  SUPABASE_URL
+ *  SUPABASE_SERVICE_ROLE_KEY
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { CALENDAR_FEED_DIR } from "../js/config.js";
+import { buildICalendar, calendarFileName } from "../js/ical.js";
+import { loadScheduleWithSwaps } from "./lib/schedule.mjs";
+import { requireSupabaseEnv } from "./lib/supabase.mjs";
+import { loadTents } from "./lib/tents.mjs";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      out: { type: "string", default: CALENDAR_FEED_DIR },
+    },
+  });
+
+  requireSupabaseEnv();
+
+  const stamp = new Date();
+
+  for (const tent of await loadTents()) {
+    const { people, shifts } = await loadScheduleWithSwaps(tent);
+
+    for (const person of people) {
+      const file = path.join(values.out, path.relative(CALENDAR_FEED_DIR, calendarFileName(person, tent.id)));
+      const mine = shifts.filter((s) => s.person === person);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, buildICalendar(person, mine, { stamp, tent }));
+      console.log(`${file}: ${mine.length} shifts`);
+    }
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+/**
+ * Generate schedule.csv from member availability (see js/generator.js for
+ * the availability JSON format).
+ *
+ * Usage:
+ *   node scripts/generate_schedule.mjs AVAILABILITY.json [--tent ID] [--out FILE]
+ *
+ * Times are in the tent's time zone and the headcount defaults to its
+ * tent-check minimums; --tent reads those from the `tents` table (needs
+ * SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY), else the defaults in
+ * js/config.js apply.
+ *
+ * Writes the CSV to stdout unless --out is given. Hours per person and any
+ * time slots that could not be filled are reported on stderr; the exit code
+ * is 2 when slots are left unfilled.
+ */
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { generateSchedule, parseAvailability } from "../js/generator.js";
+import { formatScheduleTime, serializeScheduleCSV } from "../js/schedule_core.js";
+import { DEFAULT_TENT } from "../js/tents.js";
+import { requireSupabaseEnv } from "./lib/supabase.mjs";
+import { loadTent } from "./lib/tents.mjs";
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tent: { type: "string" },
+      out: { type: "string" },
+    },
+  });
+
+  if (positionals.length !== 1) fail("Usage: node scripts/generate_schedule.mjs AVAILABILITY.json [--tent ID] [--out FILE]");
+
+  let tent = DEFAULT_TENT;
+  if (values.tent) {
+    requireSupabaseEnv();
+    try {
+      tent = await loadTent(values.tent);
+    } catch (e) {
+      fail(e.message);
+    }
+  }
+
+  let availability;
+  try {
+    availability = parseAvailability(fs.readFileSync(positionals[0], "utf8"), tent);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  const result = generateSchedule(availability);
+  const csv = serializeScheduleCSV(result, Papa, { timeZone: tent.timeZone });
+
+  if (values.out) {
+    fs.writeFileSync(values.out, csv);
+    console.error(`Wrote ${result.timeline.length} rows for ${result.people.length} people to ${values.out}`);
+  } else {
+    process.stdout.write(`${csv}\n`);
+  }
+
+  console.error("\nHours (total / night):");
+  for (const p of result.people) {
+    const { total, night } = result.hours[p];
+    console.error(`  ${p}: ${total} / ${night}`);
+  }
+
+  if (result.unfilled.length) {
+    console.error(`\nCould not fill ${result.unfilled.length} window(s):`);
+    for (const w of result.unfilled) {
+      console.error(
+        `  ${formatScheduleTime(w.start, tent.timeZone)} - ${formatScheduleTime(w.end, tent.timeZone)}: ${w.assigned}/${w.required} people`
+      );
+    }
+    process.exitCode = 2;
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
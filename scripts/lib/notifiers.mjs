@@ -0,0 +1,77 @@
+/**
+ * Reminder delivery channels. A notifier is
+ *   { channel, send(subscription, { title, body, url, tag }) } -> Promise
+ * where `subscription` is a reminder_subscriptions row. send() rejects on
+ * failure; a rejection with `gone: true` means the subscription is dead
+ * (e.g. an expired push endpoint) and should be deleted.
+ *
+ * - push: Web Push via the `web-push` package and the VAPID_* env vars
+ * - email / sms: POST { to, title, body, url, tag } to REMINDER_EMAIL_HOOK_URL /
+ *   REMINDER_SMS_HOOK_URL (whatever mail or SMS relay you run)
+ * - stub: logs instead of sending, for local testing
+ */
+
+export function createStubNotifier(channel, log = console.log) {
+  return {
+    channel,
+    async send(sub, message) {
+      log(`[stub ${channel}] -> ${sub.person} (${sub.target}): ${message.title} | ${message.body}`);
+    },
+  };
+}
+
+export function createHookNotifier(channel, hookUrl) {
+  return {
+    channel,
+    async send(sub, message) {
+      const res = await fetch(hookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ to: sub.target, ...message }),
+      });
+      if (!res.ok) throw new Error(`${channel} hook ${res.status}: ${await res.text()}`);
+    },
+  };
+}
+
+export async function createPushNotifier() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY || !VAPID_SUBJECT) {
+    throw new Error("Missing VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT env vars.");
+  }
+
+  const { default: webpush } = await import("web-push");
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+
+  return {
+    channel: "push",
+    async send(sub, message) {
+      try {
+        await webpush.sendNotification({ endpoint: sub.target, keys: sub.push_keys }, JSON.stringify(message));
+      } catch (e) {
+        if (e.statusCode === 404 || e.statusCode === 410) e.gone = true;
+        throw e;
+      }
+    },
+  };
+}
+
+/**
+ * Notifiers by channel. With `stub`, every channel logs instead of sending;
+ * otherwise channels without configuration are left out (and skipped).
+ */
+export async function createNotifiers({ stub = false } = {}) {
+  if (stub) {
+    return Object.fromEntries(["push", "email", "sms"].map((c) => [c, createStubNotifier(c)]));
+  }
+
+  const notifiers = {};
+  if (process.env.VAPID_PRIVATE_KEY) notifiers.push = await createPushNotifier();
+  if (process.env.REMINDER_EMAIL_HOOK_URL) {
+    notifiers.email = createHookNotifier("email", process.env.REMINDER_EMAIL_HOOK_URL);
+  }
+  if (process.env.REMINDER_SMS_HOOK_URL) {
+    notifiers.sms = createHookNotifier("sms", process.env.REMINDER_SMS_HOOK_URL);
+  }
+  return notifiers;
+}
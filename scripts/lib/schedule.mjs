@@ -0,0 +1,46 @@
+/**
+ * Schedule loading for the Node scripts: reads the same CSV the site serves
+ * (or the newest version saved from the admin editor) and parses it with the
+ * shared js/schedule_core.js logic, optionally with active shift swaps
+ * overlaid (as the site does). Each tent (js/tents.js) has its own.
+ */
+
+import fs from "node:fs";
+import Papa from "papaparse";
+import { SCHEDULE_CSV_PATH } from "../../js/config.js";
+import { applySwaps, parseScheduleCSV } from "../../js/schedule_core.js";
+import { DEFAULT_TENT } from "../../js/tents.js";
+import { supaFetch } from "./supabase.mjs";
+
+export function loadSchedule(csvPath = SCHEDULE_CSV_PATH) {
+  const csv = fs.readFileSync(csvPath, "utf8");
+  return parseScheduleCSV(csv, Papa);
+}
+
+/**
+ * { csv, source } for `tent`'s current schedule: its newest editor-saved
+ * version from `schedule_versions` if there is one, else its file.
+ */
+export async function loadCurrentScheduleCSV(tent = DEFAULT_TENT) {
+  const versions = await supaFetch(
+    `schedule_versions?select=csv&tent_id=eq.${encodeURIComponent(tent.id)}&order=created_at.desc&limit=1`
+  );
+  if (versions?.length) return { csv: versions[0].csv, source: "schedule_versions" };
+  return { csv: fs.readFileSync(tent.scheduleCsvPath, "utf8"), source: tent.scheduleCsvPath };
+}
+
+export async function loadCurrentSchedule(tent = DEFAULT_TENT) {
+  const { csv } = await loadCurrentScheduleCSV(tent);
+  return parseScheduleCSV(csv, Papa, { timeZone: tent.timeZone });
+}
+
+/**
+ * `tent`'s current schedule with accepted/approved swaps from `shift_swaps`
+ * applied, so the new person is the one responsible for a swapped shift.
+ */
+export async function loadScheduleWithSwaps(tent = DEFAULT_TENT) {
+  const swaps = await supaFetch(
+    `shift_swaps?select=*&tent_id=eq.${encodeURIComponent(tent.id)}&status=in.(accepted,approved)&order=offered_at.asc`
+  );
+  return applySwaps(await loadCurrentSchedule(tent), swaps ?? []);
+}
@@ -0,0 +1,56 @@
+/**
+ * Minimal Supabase REST/Auth client for the Node scripts.
+ *
+ * Uses the service role key, which bypasses row-level security.
+ * Requires env vars SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+export const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+/**
+ * Exit early (as the scripts always have) when credentials are missing.
+ */
+export function requireSupabaseEnv() {
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars.");
+    process.exit(1);
+  }
+}
+
+export async function supaFetch(path, options = {}) {
+  const res = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+    ...options,
+    headers: {
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      "Content-Type": "application/json",
+      ...(options.headers || {}),
+    },
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`${res.status} ${res.statusText}: ${text}`);
+  }
+
+  const text = await res.text();
+  if (!text) return null;
+  return JSON.parse(text);
+}
+
+/**
+ * Resolve a user's access token (from the browser session) to their
+ * Supabase auth user, or null if the token is invalid or expired.
+ */
+export async function fetchAuthUser(accessToken) {
+  const res = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
+    headers: {
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${accessToken}`,
+    },
+  });
+
+  if (!res.ok) return null;
+  return res.json();
+}
@@ -0,0 +1,248 @@
+/**
+ * Where the sweep (scripts/mark_missed.mjs) reads and writes its data.
+ *
+ * openStore(spec) picks a backend:
+ *   "supabase"   the live database over REST (service role; the default)
+ *   "json:PATH"  a local JSON file, for tests and offline runs
+ *
+ * Every backend has the same async methods:
+ *   tents()                                   tent settings (js/tents.js)
+ *   scheduleWithSwaps(tent)                   parsed schedule, swaps applied
+ *   attendance(tent, { since, until })        rows with shift_start in range
+ *   approvedAbsences(tent, { since, until })  absence_requests, likewise
+ *   insertAttendance(rows)                    skips rows that already exist
+ *   excuseMissed(tent, shiftId, absence)      missed → excused
+ *   archiveAttendance(tent, row, reason, note)
+ *   moveAttendance(tent, row, shift)
+ *   recordSweepRun(at)
+ * `since`/`until` are Dates or null (open-ended).
+ *
+ * The JSON file holds the tables by name, with rows shaped as in the
+ * database: { tents, schedule_versions, shift_swaps, attendance,
+ * absence_requests, attendance_archive, sweep_metadata }. Missing tables are
+ * empty; with no `tents` the file is the main tent only, and a tent with no
+ * schedule_versions row reads its CSV file as usual.
+ */
+
+import fs from "node:fs";
+import Papa from "papaparse";
+import { SUPABASE_TABLE } from "../../js/config.js";
+import { applySwaps, parseScheduleCSV } from "../../js/schedule_core.js";
+import { DEFAULT_TENT, DEFAULT_TENT_ID, tentSettings } from "../../js/tents.js";
+import { loadScheduleWithSwaps } from "./schedule.mjs";
+import { requireSupabaseEnv, supaFetch } from "./supabase.mjs";
+import { loadTents } from "./tents.mjs";
+
+const SWEEP_HEADERS = {
+  "X-Change-Source": "sweep",
+  "X-Changed-By": "sweep",
+};
+
+const RECONCILE_HEADERS = {
+  "X-Change-Source": "reconcile",
+  "X-Changed-By": "sweep",
+};
+
+const ACTIVE_SWAP_STATUSES = ["accepted", "approved"];
+
+function rangeFilter({ since = null, until = null } = {}) {
+  return [
+    since ? `&shift_start=gte.${encodeURIComponent(since.toISOString())}` : "",
+    until ? `&shift_start=lt.${encodeURIComponent(until.toISOString())}` : "",
+  ].join("");
+}
+
+function rowFilter(tent, r) {
+  return [
+    `tent_id=eq.${encodeURIComponent(tent.id)}`,
+    `person=eq.${encodeURIComponent(r.person)}`,
+    `shift_start=eq.${encodeURIComponent(r.shift_start)}`,
+    `shift_end=eq.${encodeURIComponent(r.shift_end)}`,
+  ].join("&");
+}
+
+export function supabaseStore() {
+  requireSupabaseEnv();
+  const inTent = (tent) => `tent_id=eq.${encodeURIComponent(tent.id)}`;
+
+  return {
+    tents: () => loadTents(),
+
+    scheduleWithSwaps: (tent) => loadScheduleWithSwaps(tent),
+
+    attendance: (tent, range) =>
+      supaFetch(
+        `${SUPABASE_TABLE}?select=shift_id,person,shift_start,shift_end,status,overridden&${inTent(tent)}${rangeFilter(range)}`
+      ),
+
+    approvedAbsences: (tent, range) =>
+      supaFetch(`absence_requests?select=id,shift_id,reason&status=eq.approved&${inTent(tent)}${rangeFilter(range)}`),
+
+    async insertAttendance(rows) {
+      // Bulk insert in chunks; the unique index on (tent_id, person,
+      // shift_start, shift_end) drops rows that already exist.
+      const chunkSize = 500;
+      for (let i = 0; i < rows.length; i += chunkSize) {
+        await supaFetch(SUPABASE_TABLE, {
+          method: "POST",
+          body: JSON.stringify(rows.slice(i, i + chunkSize)),
+          headers: { Prefer: "resolution=ignore-duplicates", ...SWEEP_HEADERS },
+        });
+      }
+    },
+
+    excuseMissed: (tent, shiftId, absence) =>
+      supaFetch(`${SUPABASE_TABLE}?${inTent(tent)}&shift_id=eq.${encodeURIComponent(shiftId)}&status=eq.missed`, {
+        method: "PATCH",
+        body: JSON.stringify({
+          status: "excused",
+          override_reason: absence.reason,
+          absence_request_id: absence.id,
+        }),
+        headers: SWEEP_HEADERS,
+      }),
+
+    archiveAttendance: (tent, r, reason, note) =>
+      supaFetch("rpc/archive_attendance", {
+        method: "POST",
+        body: JSON.stringify({
+          p_tent_id: tent.id,
+          p_person: r.person,
+          p_shift_start: r.shift_start,
+          p_shift_end: r.shift_end,
+          p_reason: reason,
+          p_note: note,
+        }),
+        headers: RECONCILE_HEADERS,
+      }),
+
+    moveAttendance: (tent, r, shift) =>
+      supaFetch(`${SUPABASE_TABLE}?${rowFilter(tent, r)}`, {
+        method: "PATCH",
+        body: JSON.stringify({
+          shift_id: shift.shiftId,
+          shift_start: shift.start.toISOString(),
+          shift_end: shift.end.toISOString(),
+        }),
+        headers: RECONCILE_HEADERS,
+      }),
+
+    recordSweepRun: (at) =>
+      supaFetch("sweep_metadata?id=eq.1", {
+        method: "PATCH",
+        body: JSON.stringify({ last_run: at.toISOString() }),
+      }),
+  };
+}
+
+export function jsonStore(file) {
+  const db = JSON.parse(fs.readFileSync(file, "utf8"));
+  const table = (name) => (db[name] ??= []);
+  const save = () => {
+    fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(db, null, 2)}\n`);
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  const time = (iso) => new Date(iso).getTime();
+  const inTent = (tent) => (r) => (r.tent_id ?? DEFAULT_TENT_ID) === tent.id;
+  const inRange = ({ since = null, until = null } = {}) => (r) =>
+    (!since || time(r.shift_start) >= since.getTime()) && (!until || time(r.shift_start) < until.getTime());
+  const sameRow = (tent, r) => (x) =>
+    inTent(tent)(x) &&
+    x.person === r.person &&
+    time(x.shift_start) === time(r.shift_start) &&
+    time(x.shift_end) === time(r.shift_end);
+
+  return {
+    async tents() {
+      return db.tents ? [...db.tents].sort((a, b) => a.id.localeCompare(b.id)).map(tentSettings) : [DEFAULT_TENT];
+    },
+
+    async scheduleWithSwaps(tent) {
+      const [latest] = table("schedule_versions")
+        .filter(inTent(tent))
+        .sort((a, b) => time(b.created_at) - time(a.created_at));
+      const csv = latest?.csv ?? fs.readFileSync(tent.scheduleCsvPath, "utf8");
+      const swaps = table("shift_swaps")
+        .filter((s) => inTent(tent)(s) && ACTIVE_SWAP_STATUSES.includes(s.status))
+        .sort((a, b) => time(a.offered_at) - time(b.offered_at));
+      return applySwaps(parseScheduleCSV(csv, Papa, { timeZone: tent.timeZone }), swaps);
+    },
+
+    async attendance(tent, range) {
+      return table("attendance").filter((r) => inTent(tent)(r) && inRange(range)(r));
+    },
+
+    async approvedAbsences(tent, range) {
+      return table("absence_requests").filter(
+        (a) => a.status === "approved" && inTent(tent)(a) && inRange(range)(a)
+      );
+    },
+
+    async insertAttendance(rows) {
+      const attendance = table("attendance");
+      for (const r of rows) {
+        const tent = { id: r.tent_id ?? DEFAULT_TENT_ID };
+        if (!attendance.some(sameRow(tent, r))) attendance.push({ overridden: false, ...r });
+      }
+      save();
+    },
+
+    async excuseMissed(tent, shiftId, absence) {
+      for (const r of table("attendance")) {
+        if (inTent(tent)(r) && r.shift_id === shiftId && r.status === "missed") {
+          Object.assign(r, { status: "excused", override_reason: absence.reason, absence_request_id: absence.id });
+        }
+      }
+      save();
+    },
+
+    async archiveAttendance(tent, r, reason, note) {
+      const attendance = table("attendance");
+      const i = attendance.findIndex(sameRow(tent, r));
+      if (i === -1) throw new Error("no attendance row to archive");
+
+      const [row] = attendance.splice(i, 1);
+      table("attendance_archive").push({
+        tent_id: tent.id,
+        shift_id: row.shift_id,
+        person: row.person,
+        shift_start: row.shift_start,
+        shift_end: row.shift_end,
+        status: row.status,
+        row,
+        reason,
+        note,
+        archived_by: "sweep",
+        archived_at: new Date().toISOString(),
+      });
+      save();
+    },
+
+    async moveAttendance(tent, r, shift) {
+      const row = table("attendance").find(sameRow(tent, r));
+      if (row) {
+        Object.assign(row, {
+          shift_id: shift.shiftId,
+          shift_start: shift.start.toISOString(),
+          shift_end: shift.end.toISOString(),
+        });
+      }
+      save();
+    },
+
+    async recordSweepRun(at) {
+      db.sweep_metadata = { ...db.sweep_metadata, last_run: at.toISOString() };
+      save();
+    },
+  };
+}
+
+/**
+ * The store named by `spec` ("supabase" or "json:PATH").
+ */
+export function openStore(spec = "supabase") {
+  if (spec === "supabase") return supabaseStore();
+  if (spec.startsWith("json:")) return jsonStore(spec.slice("json:".length));
+  throw new Error(`Unknown store "${spec}". Use "supabase" or "json:PATH".`);
+}
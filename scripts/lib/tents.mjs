@@ -0,0 +1,32 @@
+/**
+ * Tents for the Node scripts (see js/tents.js and sql/011_tents.sql).
+ */
+
+import { DEFAULT_TENT_ID, tentSettings } from "../../js/tents.js";
+import { supaFetch } from "./supabase.mjs";
+
+/**
+ * Settings for every tent, or just `only` (a tent id) when given.
+ */
+export async function loadTents(only = null) {
+  const filter = only ? `&id=eq.${encodeURIComponent(only)}` : "";
+  const rows = await supaFetch(`tents?select=*&order=id.asc${filter}`);
+  return (rows ?? []).map(tentSettings);
+}
+
+/**
+ * Settings for one tent; throws if there's no such tent.
+ */
+export async function loadTent(id = DEFAULT_TENT_ID) {
+  const [tent] = await loadTents(id);
+  if (!tent) throw new Error(`No tent "${id}".`);
+  return tent;
+}
+
+/**
+ * Roster names of a tent's members: { name: role }.
+ */
+export async function loadTentMembers(tentId) {
+  const rows = await supaFetch(`tent_members?select=name,role&tent_id=eq.${encodeURIComponent(tentId)}`);
+  return Object.fromEntries((rows ?? []).map((r) => [r.name, r.role]));
+}
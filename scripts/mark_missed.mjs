@@ -1,140 +1,99 @@
 /**
- * GitHub Action script:
- * - Reads data/schedule.csv
- * - Computes shifts for all people
- * - For any shift that has started and has no attendance record, inserts "missed"
+ * GitHub Action script, run for every tent (sql/011_tents.sql):
+ * - Reads the tent's schedule CSV
+ * - Computes shifts for all people (via js/schedule_core.js, same as the UI),
+ *   with accepted shift swaps applied
+ * - For any shift that has started and has no attendance record, inserts "missed",
+ *   or "excused" if an admin approved an absence for it (absence_requests);
+ *   a miss recorded before the approval is turned into "excused" too
+ * - Reports recent windows where misses or absences left the tent below the
+ *   tent-check minimum
  *
- * Requires env vars:
+ * With --reconcile it instead compares every attendance row with the current
+ * schedule (js/reconcile.js) and reports orphaned, moved and duplicate rows.
+ * Add --apply to fix them: moved rows are re-keyed to their new shift (moved
+ * misses are archived instead, for the sweep to judge again), and orphans and
+ * duplicates are archived to `attendance_archive`, never deleted
+ * (sql/012_attendance_archive.sql).
+ *
+ * Usage:
+ *   node scripts/mark_missed.mjs [--dry-run] [--now ISO] [--since ISO] [--until ISO]
+ *                                [--store supabase|json:PATH]
+ *   node scripts/mark_missed.mjs --reconcile [--apply] [--store ...]
+ *
+ *   --dry-run      print what would be recorded; write nothing
+ *   --now ISO      sweep as if it were this time (default: now); the run
+ *                  is still recorded at the real time
+ *   --since/--until ISO
+ *                  only shifts starting in [since, until), filtered in the
+ *                  query as well (default: all)
+ *   --store        where attendance lives (scripts/lib/sweep_store.mjs):
+ *                  the live database (default) or a local JSON file
+ *
+ * The supabase store requires env vars:
  *  SUPABASE_URL
  *  SUPABASE_SERVICE_ROLE_KEY
  *
  * NOTE: Service role key must be kept secret (GitHub Actions secret).
  */
 
-import fs from "node:fs";
-import Papa from "papaparse";
+import { parseArgs } from "node:util";
+import { analyzeCoverage } from "../js/coverage.js";
+import { reconcileAttendance } from "../js/reconcile.js";
+import { shiftId } from "../js/schedule_core.js";
+import { openStore } from "./lib/sweep_store.mjs";
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Only report coverage gaps this recent, so each run isn't the whole season.
+const COVERAGE_REPORT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
 
-const VERIFY_AFTER_MINUTES = 5;
-const GRACE_MS = VERIFY_AFTER_MINUTES * 60 * 1000;
-
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars.");
+function fail(message) {
+  console.error(message);
   process.exit(1);
 }
 
-const TABLE = "attendance";
-
-// function shiftKey(person, startISO, endISO) {
-//   return `${person}__${startISO}__${endISO}`;
-// }
-
-function shiftId(person, startISO) {
-  return `${person}__${startISO}`;
+function parseTime(flag, value) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) fail(`${flag} must be an ISO date or date-time, got "${value}".`);
+  return date;
 }
 
+function reportCoverageGaps({ tent, timeline, people, shifts, missedIds, excusedIds, now }) {
+  const missedShifts = shifts.filter((s) => missedIds.has(s.shiftId));
+  const excusedShifts = shifts.filter((s) => excusedIds.has(s.shiftId));
+  const since = new Date(now.getTime() - COVERAGE_REPORT_LOOKBACK_MS);
 
-function parseLocalTimeToDate(timeStr) {
-  // Force LOCAL time parsing (browser-compatible)
-  const [datePart, timePart] = timeStr.trim().split(" ");
-  const [month, day, year] = datePart.split("/").map(Number);
-  const [hour, minute] = timePart.split(":").map(Number);
-
-  return new Date(year, month - 1, day, hour, minute);
-}
-
-
-function buildShiftsForPerson(timeline, person) {
-  const shifts = [];
-  if (timeline.length < 2) return shifts;
-
-  let inShift = false;
-  let start = null;
-
-  for (let i = 0; i < timeline.length - 1; i++) {
-    const cur = timeline[i];
-    const next = timeline[i + 1];
-
-    const isOn = !!cur.flags[person];
-
-    if (!inShift && isOn) {
-      inShift = true;
-      start = cur.time;
-    }
-
-    const nextIsOn = !!next.flags[person];
-    if (inShift && !nextIsOn) {
-      shifts.push({ person, start, end: next.time });
-      inShift = false;
-      start = null;
-    }
-  }
-
-  if (inShift) {
-    shifts.push({ person, start, end: timeline[timeline.length - 1].time });
-  }
-
-  return shifts;
-}
-
-async function supaFetch(path, options = {}) {
-  const res = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
-    ...options,
-    headers: {
-      apikey: SUPABASE_SERVICE_ROLE_KEY,
-      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      "Content-Type": "application/json",
-      // Prefer: "resolution=merge-duplicates,return=representation",
-      ...(options.headers || {}),
-    },
-  });
+  const gaps = analyzeCoverage(timeline, people, { missedShifts, excusedShifts, now, tent }).filter(
+    (w) => w.cause !== "scheduled" && w.end > since && w.start < now
+  );
 
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`${res.status} ${res.statusText}: ${text}`);
+  for (const w of gaps) {
+    console.warn(
+      `[${tent.id}] Coverage gap ${w.start.toISOString()} → ${w.end.toISOString()}: ` +
+        `${w.onDuty}/${w.required} present, ${w.cause} by ${w.absent.join(", ")}`
+    );
   }
-
-  const text = await res.text();
-  if (!text) return null;
-  return JSON.parse(text);
+  console.log(`[${tent.id}] Coverage check: ${gaps.length} gap(s) caused by misses or absences in the last 24h`);
 }
 
-async function main() {
-  const csv = fs.readFileSync("data/schedule.csv", "utf8").trim();
-  const parsed = Papa.parse(csv, { header: true, skipEmptyLines: true });
-  const rows = parsed.data;
-
-  const headers = Object.keys(rows[0]);
-  const people = headers.filter((h) => h && h.trim() !== "Time");
-
-  const timeline = rows
-    .map((r) => {
-      const t = parseLocalTimeToDate(r.Time);
-      const flags = {};
-      for (const p of people) {
-        const v = String(r[p] ?? "").trim().toUpperCase();
-        flags[p] = v === "TRUE";
-      }
-      return { time: t, flags };
-    })
-    .sort((a, b) => a.time - b.time);
-
-  const allShifts = [];
-  for (const p of people) {
-    allShifts.push(...buildShiftsForPerson(timeline, p));
-  }
-
-  const now = new Date();
+async function sweepTent(store, tent, { now, range, dryRun }) {
+  const { timeline, people, shifts: allShifts } = await store.scheduleWithSwaps(tent);
+  const graceMs = tent.verifyAfterMinutes * 60 * 1000;
+  const { since, until } = range;
 
-  // Mark any started shifts as missed if absent
+  // Mark any started shifts (in the window) as missed if absent
   const startedAndExpired = allShifts.filter(
-  (s) => now.getTime() > s.start.getTime() + GRACE_MS
+    (s) =>
+      now.getTime() > s.start.getTime() + graceMs &&
+      (!since || s.start >= since) &&
+      (!until || s.start < until)
   );
 
   // Fetch existing attendance rows so we don't insert duplicates
-  const existingAttendance = await supaFetch("attendance?select=shift_id");
+  const existingAttendance = await store.attendance(tent, range);
+
+  // Approved absences, by shift (sql/010_absence_requests.sql)
+  const approvedAbsences = new Map((await store.approvedAbsences(tent, range)).map((a) => [a.shift_id, a]));
 
   // Build a Set of existing shift_ids
   const existingShiftIds = new Set(
@@ -143,81 +102,165 @@ async function main() {
       .filter(Boolean)
   );
 
-
-  // // Fetch existing attendance records so we don't overwrite verified/overridden
-  //   const earliestStart = new Date(
-  //       Math.min(...startedAndExpired.map((s) => s.start.getTime()))
-  //   ).toISOString();
-
-  //   const latestEnd = new Date(
-  //       Math.max(...startedAndExpired.map((s) => s.end.getTime()))
-  //   ).toISOString();
-
-  //   const existing = await supaFetch(
-  //       `${TABLE}?shift_start=gte.${earliestStart}&shift_end=lte.${latestEnd}`
-  //   );
-
-  //   // Build lookup of existing records
-  //   const existingKeys = new Set(
-  //   existing.map((r) =>
-  //       shiftKey(r.person, r.shift_start, r.shift_end)
-  //   )
-  //   );
-
-
-  // Upsert in chunks
   const payload = startedAndExpired
     .map((s) => {
       const startISO = s.start.toISOString();
       const id = shiftId(s.person, startISO);
 
-      // Skip if already recorded (verified, overridden, or missed)
+      // Skip if already recorded (verified, excused, late, covered, overridden
+      // or missed): the sweep never downgrades an outcome, and the database
+      // refuses to as well (sql/009_attendance_outcomes.sql).
       if (existingShiftIds.has(id)) {
         return null;
       }
 
+      // Every row in a bulk insert needs the same keys.
+      const absence = approvedAbsences.get(id);
       return {
+        tent_id: tent.id,
         shift_id: id,
         person: s.person,
         shift_start: startISO,
         shift_end: s.end.toISOString(),
-        status: "missed",
+        status: absence ? "excused" : "missed",
+        override_reason: absence?.reason ?? null,
+        absence_request_id: absence?.id ?? null,
       };
     })
     .filter(Boolean);
 
+  // Misses recorded before their absence was approved become excused
+  // (admin overrides are left alone).
+  const lateExcusals = existingAttendance.filter(
+    (r) => r.status === "missed" && !r.overridden && approvedAbsences.has(r.shift_id)
+  );
 
-
-  const chunkSize = 500;
-  for (let i = 0; i < payload.length; i += chunkSize) {
-    const chunk = payload.slice(i, i + chunkSize);
-    // Upsert uses unique index on (person, shift_start, shift_end)
-    if (chunk.length > 0) {
-        await supaFetch(TABLE, {
-            method: "POST",
-            body: JSON.stringify(chunk),
-            headers: {
-              Prefer: "resolution=ignore-duplicates",
-            },
-        });
+  if (dryRun) {
+    for (const r of payload) {
+      console.log(`[${tent.id}] Would record ${r.status}: ${r.person} ${r.shift_start} → ${r.shift_end}`);
     }
+    for (const r of lateExcusals) {
+      console.log(`[${tent.id}] Would excuse earlier miss: ${r.person} ${r.shift_start} → ${r.shift_end}`);
+    }
+  } else {
+    if (payload.length) await store.insertAttendance(payload);
+    for (const r of lateExcusals) {
+      await store.excuseMissed(tent, r.shift_id, approvedAbsences.get(r.shift_id));
+    }
+  }
+
+  const newlyExcused = payload.filter((r) => r.status === "excused").length;
+  console.log(
+    `[${tent.id}] Sweep ${dryRun ? "dry run" : "complete"}: ${payload.length - newlyExcused} newly missed and ` +
+      `${newlyExcused + lateExcusals.length} excused shifts ${dryRun ? "to record" : "recorded"} ` +
+      `(${existingShiftIds.size} existing known)`
+  );
+
+  const lateExcusedIds = new Set(lateExcusals.map((r) => r.shift_id));
+  const missedIds = new Set([
+    ...existingAttendance
+      .filter((r) => r.status === "missed" && !lateExcusedIds.has(r.shift_id))
+      .map((r) => r.shift_id),
+    ...payload.filter((r) => r.status === "missed").map((r) => r.shift_id),
+  ]);
+  const excusedIds = new Set([
+    ...existingAttendance.filter((r) => r.status === "excused").map((r) => r.shift_id),
+    ...payload.filter((r) => r.status === "excused").map((r) => r.shift_id),
+    ...lateExcusedIds,
+  ]);
+  reportCoverageGaps({ tent, timeline, people, shifts: allShifts, missedIds, excusedIds, now });
+}
 
+function describeRow(r) {
+  return `${r.status} ${r.person} ${new Date(r.shift_start).toISOString()} → ${new Date(r.shift_end).toISOString()}`;
+}
+
+function describeShift(s) {
+  return `${s.start.toISOString()} → ${s.end.toISOString()}`;
+}
+
+/**
+ * Report (and with `apply`, fix) attendance rows the current schedule no
+ * longer accounts for.
+ */
+async function reconcileTent(store, tent, { apply }) {
+  const { shifts } = await store.scheduleWithSwaps(tent);
+  const records = await store.attendance(tent, {});
+  const { orphans, moved, duplicates } = reconcileAttendance(shifts, records);
+  const verb = apply ? "" : "would be ";
+
+  for (const { row } of orphans) {
+    console.warn(`[${tent.id}] ORPHAN ${describeRow(row)}: no such shift, ${verb}archived`);
+    if (apply) await store.archiveAttendance(tent, row, "orphan", null);
   }
 
-    console.log(
-  `Sweep complete: ${payload.length} newly missed shifts inserted (${existingShiftIds.size} existing known)`
-);
+  // Duplicates go first: a kept row may move onto the times one of them had.
+  for (const { row, kept } of duplicates) {
+    console.warn(`[${tent.id}] DUPLICATE ${describeRow(row)} (keeping ${kept.status}): ${verb}archived`);
+    if (apply) await store.archiveAttendance(tent, row, "duplicate", `kept ${kept.status} ${kept.shift_end}`);
+  }
 
+  for (const { row, shift } of moved) {
+    // A miss was judged against the old times; the sweep judges the new shift.
+    if (row.status === "missed") {
+      console.warn(`[${tent.id}] MOVED ${describeRow(row)} ⇒ ${describeShift(shift)}: ${verb}archived for the sweep to redo`);
+      if (apply) await store.archiveAttendance(tent, row, "moved", `now ${shift.shiftId}`);
+    } else {
+      console.warn(`[${tent.id}] MOVED ${describeRow(row)} ⇒ ${describeShift(shift)}: ${verb}re-keyed`);
+      if (apply) await store.moveAttendance(tent, row, shift);
+    }
+  }
 
-    await supaFetch("sweep_metadata?id=eq.1", {
-      method: "PATCH",
-      body: JSON.stringify({ last_run: new Date().toISOString() }),
-    });
+  console.log(
+    `[${tent.id}] Reconcile ${apply ? "applied" : "dry run"}: ${orphans.length} orphaned, ` +
+      `${moved.length} moved, ${duplicates.length} duplicate row(s) of ${records.length}`
+  );
 }
 
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      reconcile: { type: "boolean", default: false },
+      apply: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      now: { type: "string" },
+      since: { type: "string" },
+      until: { type: "string" },
+      store: { type: "string", default: "supabase" },
+    },
+  });
+  if (values.apply && !values.reconcile) fail("--apply only applies to --reconcile.");
+  if (values.apply && values["dry-run"]) fail("Pass either --apply or --dry-run, not both.");
+  // A moved row can land anywhere in the season, so reconcile sees every row.
+  if (values.reconcile && (values.since || values.until)) fail("--since/--until only apply to the sweep.");
+
+  const now = parseTime("--now", values.now) ?? new Date();
+  const range = { since: parseTime("--since", values.since), until: parseTime("--until", values.until) };
+  if (range.since && range.until && range.since >= range.until) fail("--since must be before --until.");
+
+  const store = openStore(values.store);
+  const dryRun = values["dry-run"];
+  let failed = 0;
+
+  // One tent's broken schedule shouldn't stop the others being swept.
+  for (const tent of await store.tents()) {
+    try {
+      if (values.reconcile) await reconcileTent(store, tent, { apply: values.apply });
+      else await sweepTent(store, tent, { now, range, dryRun });
+    } catch (e) {
+      console.error(`[${tent.id}] ${values.reconcile ? "Reconcile" : "Sweep"} failed:`, e);
+      failed++;
+    }
+  }
+
+  // The real time, even for a simulated --now: admins read this as when the
+  // sweep last ran, and a backfill mustn't move it back.
+  if (!values.reconcile && !dryRun) await store.recordSweepRun(new Date());
 
+  if (failed) process.exit(1);
+}
 
 main().catch((e) => {
   console.error(e);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,143 @@
+/**
+ * Send opt-in shift reminders (see js/reminders_core.js for when).
+ *
+ * Usage:
+ *   node scripts/send_reminders.mjs [--loop] [--stub]
+ *
+ * Covers every tent's shifts; each subscription (sql/015_reminder_tents.sql)
+ * only hears about its own tent's. Runs once by default; --loop checks every minute (run it next to the
+ * verify endpoint, since GitHub's cron is too coarse for a 15-minute
+ * window). --stub logs reminders instead of sending them.
+ *
+ * Requires env vars:
+ *  SUPABASE_URL
+ *  SUPABASE_SERVICE_ROLE_KEY
+ * Optional (a channel without its config is skipped):
+ *  VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT  (push; `npm i web-push`)
+ *  REMINDER_EMAIL_HOOK_URL, REMINDER_SMS_HOOK_URL
+ *  SITE_URL  (link in the notification)
+ */
+
+import { parseArgs } from "node:util";
+import { SUPABASE_TABLE } from "../js/config.js";
+import { dueReminders, reminderMessage } from "../js/reminders_core.js";
+import { formatDateTime } from "../js/schedule.js";
+import { createNotifiers } from "./lib/notifiers.mjs";
+import { loadScheduleWithSwaps } from "./lib/schedule.mjs";
+import { requireSupabaseEnv, supaFetch } from "./lib/supabase.mjs";
+import { loadTents } from "./lib/tents.mjs";
+
+const LOOP_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SITE_URL = process.env.SITE_URL ?? "";
+
+async function remindTent(tent, { notifiers, subscriptions: all, sent, now }) {
+  const subscriptions = all.filter((s) => s.tent_id === tent.id);
+  if (!subscriptions.length) return;
+
+  const maxLeadMs = Math.max(...subscriptions.map((s) => s.lead_minutes)) * 60 * 1000;
+  const from = new Date(now.getTime() - tent.verifyAfterMinutes * 60 * 1000);
+  const to = new Date(now.getTime() + maxLeadMs);
+
+  const { shifts } = await loadScheduleWithSwaps(tent);
+  const upcoming = shifts.filter((s) => s.start >= from && s.start <= to);
+  if (!upcoming.length) return;
+
+  const range = `tent_id=eq.${encodeURIComponent(tent.id)}&shift_start=gte.${from.toISOString()}&shift_start=lte.${to.toISOString()}`;
+  const settled = [
+    ...(await supaFetch(`${SUPABASE_TABLE}?select=shift_id&status=neq.missed&${range}`)),
+    // Approved absences (sql/010_absence_requests.sql): nobody is expected.
+    ...(await supaFetch(`absence_requests?select=shift_id&status=eq.approved&${range}`)),
+  ];
+
+  const due = dueReminders({
+    shifts: upcoming,
+    subscriptions,
+    sentKeys: new Set(
+      sent.filter((r) => r.tent_id === tent.id).map((r) => `${r.subscription_id}|${r.shift_id}|${r.kind}`)
+    ),
+    settledShiftIds: new Set(settled.map((r) => r.shift_id)),
+    now,
+    tent,
+  });
+
+  for (const { subscription, shift, kind } of due) {
+    const notifier = notifiers[subscription.channel];
+    if (!notifier) continue;
+
+    try {
+      const message = {
+        ...reminderMessage(kind, shift, (d) => formatDateTime(d, tent.timeZone), tent),
+        url: SITE_URL,
+        tag: `${tent.id}:${shift.shiftId}`,
+      };
+      await notifier.send(subscription, message);
+    } catch (e) {
+      if (e.gone) {
+        console.warn(`Removing expired ${subscription.channel} subscription ${subscription.id} (${subscription.person})`);
+        await supaFetch(`reminder_subscriptions?id=eq.${subscription.id}`, { method: "DELETE" });
+      } else {
+        console.error(`Reminder to ${subscription.person} via ${subscription.channel} failed:`, e.message ?? e);
+      }
+      continue;
+    }
+
+    await supaFetch("reminders_sent", {
+      method: "POST",
+      body: JSON.stringify({ subscription_id: subscription.id, tent_id: tent.id, shift_id: shift.shiftId, kind }),
+      headers: { Prefer: "resolution=ignore-duplicates" },
+    });
+    console.log(
+      `Sent ${kind} reminder to ${subscription.person} via ${subscription.channel} for ${tent.id}:${shift.shiftId}`
+    );
+  }
+}
+
+async function runOnce(notifiers) {
+  const now = new Date();
+  const subscriptions = await supaFetch("reminder_subscriptions?select=*");
+  if (!subscriptions?.length) return;
+
+  // Wide enough for any tent's window: the longest lead time plus a day.
+  const maxLeadMs = Math.max(...subscriptions.map((s) => s.lead_minutes)) * 60 * 1000;
+  const sent = await supaFetch(
+    `reminders_sent?select=subscription_id,tent_id,shift_id,kind&sent_at=gte.${new Date(now.getTime() - maxLeadMs - DAY_MS).toISOString()}`
+  );
+
+  // Each tent only reminds its own subscriptions about its own shifts.
+  for (const tent of await loadTents()) {
+    await remindTent(tent, { notifiers, subscriptions, sent, now });
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      loop: { type: "boolean", default: false },
+      stub: { type: "boolean", default: false },
+    },
+  });
+
+  requireSupabaseEnv();
+  const notifiers = await createNotifiers({ stub: values.stub });
+  console.log(`Reminder channels: ${Object.keys(notifiers).join(", ") || "(none configured)"}`);
+
+  if (!values.loop) {
+    await runOnce(notifiers);
+    return;
+  }
+
+  for (;;) {
+    try {
+      await runOnce(notifiers);
+    } catch (e) {
+      console.error("Reminder run failed:", e);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOOP_INTERVAL_MS));
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
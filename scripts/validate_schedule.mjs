@@ -0,0 +1,74 @@
+/**
+ * Validate a schedule CSV (see js/schedule_lint.js for the checks).
+ *
+ * Usage:
+ *   node scripts/validate_schedule.mjs [FILE | --current] [--tent ID] [--members] [--max-hours N]
+ *
+ * FILE defaults to the tent's CSV (data/schedule.csv for "main"). --current validates what the site and
+ * sweep will actually load for every tent, or just --tent ID (the newest
+ * `schedule_versions` row, else the tent's file). --members also checks
+ * header names against the tent's members (`tent_members`). Both need
+ * SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY; so does --tent, for the
+ * tent's time zone.
+ *
+ * Exits 1 if there are errors; warnings alone exit 0.
+ */
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { DEFAULT_MAX_SHIFT_HOURS, lintScheduleCSV } from "../js/schedule_lint.js";
+import { DEFAULT_TENT } from "../js/tents.js";
+import { loadCurrentScheduleCSV } from "./lib/schedule.mjs";
+import { requireSupabaseEnv } from "./lib/supabase.mjs";
+import { loadTentMembers, loadTents } from "./lib/tents.mjs";
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      current: { type: "boolean", default: false },
+      tent: { type: "string" },
+      members: { type: "boolean", default: false },
+      "max-hours": { type: "string", default: String(DEFAULT_MAX_SHIFT_HOURS) },
+    },
+  });
+
+  const maxShiftHours = Number(values["max-hours"]);
+  if (!(maxShiftHours > 0)) fail("--max-hours must be a positive number.");
+  if (values.current && positionals.length) fail("Pass either FILE or --current, not both.");
+  if (values.current || values.members || values.tent) requireSupabaseEnv();
+
+  let tents = [DEFAULT_TENT];
+  if (values.current || values.tent) tents = await loadTents(values.tent ?? null);
+  if (values.tent && !tents.length) fail(`No tent "${values.tent}".`);
+
+  for (const tent of tents) {
+    const { csv, source } = values.current
+      ? await loadCurrentScheduleCSV(tent)
+      : { csv: fs.readFileSync(positionals[0] ?? tent.scheduleCsvPath, "utf8"), source: positionals[0] ?? tent.scheduleCsvPath };
+
+    const memberNames = values.members ? Object.keys(await loadTentMembers(tent.id)) : null;
+    const label = tents.length > 1 ? `[${tent.id}] ${source}` : source;
+
+    const issues = lintScheduleCSV(csv, Papa, { timeZone: tent.timeZone, maxShiftHours, memberNames });
+    for (const { level, line, message } of issues) {
+      const where = line ? `${label}:${line}` : label;
+      (level === "error" ? console.error : console.warn)(`${level.toUpperCase()} ${where} ${message}`);
+    }
+
+    const errors = issues.filter((i) => i.level === "error").length;
+    console.log(`${label}: ${errors} error(s), ${issues.length - errors} warning(s).`);
+    if (errors) process.exitCode = 1;
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
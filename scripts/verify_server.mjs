@@ -0,0 +1,375 @@
+/**
+ * Verify endpoint: the only path that writes `verified` attendance.
+ *
+ * POST /verify
+ *   Authorization: Bearer <member's Supabase access token>
+ *   { "tentId": "main", "shiftStartISO": "...", "latitude": 35.99, "longitude": -78.94, "accuracy": 12,
+ *     "timestamp": ..., "samples": [{ "latitude": ..., "longitude": ..., "accuracy": ..., "timestamp": ... }],
+ *     "capturedAt": "..." }
+ *
+ * `tentId` (default "main") picks the tent (sql/011_tents.sql); the member
+ * must belong to it, and its schedule, verify window and geofence apply.
+ *
+ * `samples` are the other fixes the browser saw while waiting for a good one;
+ * they (and the member's previous attempt) feed the impossible-jump check.
+ *
+ * `capturedAt` (optional) is when a check-in queued offline was made. It is
+ * judged at that time instead of now, as long as it is no older than
+ * OFFLINE_CHECKIN_MAX_AGE_HOURS and the fix was taken at about that time;
+ * such late check-ins get an "offline_replay" flag for admins to audit.
+ *
+ * The server resolves the token to a roster member, finds that member's shift
+ * in the tent's schedule (with swaps applied), checks the verify window and distance with the same
+ * code the browser uses (js/verify_core.js), and writes the row (with the
+ * distance, accuracy and any flags, for auditing) using the service role key. Browsers can no longer write `verified` themselves
+ * (see sql/002_verify_endpoint.sql). Like computeVerifiableShifts, it only
+ * fills a shift with no row yet or replaces a `missed` one (clearing any
+ * override); any other outcome is kept and the request gets 409.
+ *
+ * POST /offer
+ *   Authorization: Bearer <member's Supabase access token>
+ *   { "tentId": "main", "shiftStartISO": "..." }
+ *
+ * Offers the member's upcoming shift starting then for a swap: it must be in
+ * the tent's schedule (with swaps applied), as the site shows it. Offers are
+ * only written here (sql/014_swap_offer_check.sql); 409 if it is already
+ * offered.
+ *
+ * Run locally (also the stand-in for testing):
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... node scripts/verify_server.mjs
+ * A site opened from localhost sends check-ins here on its own.
+ *
+ * Hosting: the published site is HTTPS, so browsers only call an HTTPS
+ * endpoint. Run this file with Node 20 on any host that serves it over HTTPS
+ * (a platform like Render, Fly.io or Railway, or a VM behind Caddy/nginx),
+ * with `npm i papaparse`, the env vars below, and ALLOWED_ORIGIN set to the
+ * site's origin (e.g. https://<user>.github.io). Then put its URL in
+ * index.html: <meta name="verify-endpoint" content="https://host/verify">
+ * (or VERIFY_ENDPOINT_URL in js/config.js). Run one instance: the previous
+ * attempt check below is in memory.
+ *
+ * Env vars:
+ *  SUPABASE_URL
+ *  SUPABASE_SERVICE_ROLE_KEY
+ *  PORT (default 8787)
+ *  ALLOWED_ORIGIN (default *)
+ */
+
+import http from "node:http";
+import {
+  CAPTURE_FIX_MAX_SKEW_SECONDS,
+  OFFLINE_CHECKIN_MAX_AGE_HOURS,
+  SUPABASE_TABLE,
+} from "../js/config.js";
+import { shiftId } from "../js/schedule_core.js";
+import { DEFAULT_TENT_ID } from "../js/tents.js";
+import { evaluateCheckIn } from "../js/verify_core.js";
+import { loadScheduleWithSwaps } from "./lib/schedule.mjs";
+import { requireSupabaseEnv, supaFetch, fetchAuthUser } from "./lib/supabase.mjs";
+import { loadTentMembers, loadTents } from "./lib/tents.mjs";
+
+const PORT = Number(process.env.PORT || 8787);
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_SAMPLES = 20;
+const PREVIOUS_ATTEMPT_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 60 * 1000;
+// Sent this long after capture, a check-in counts as a replay.
+const REPLAY_THRESHOLD_MS = 2 * 60 * 1000;
+
+// Last fix each member submitted, to catch jumps between attempts. Kept in
+// this process's memory only: it starts empty after a restart and isn't
+// shared between instances, so run a single instance. The check still has
+// the attempt's own samples (see historyFor), and every stored row keeps
+// its fix and flags for admins to audit.
+const lastAttemptByMember = new Map();
+
+requireSupabaseEnv();
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": ALLOWED_ORIGIN,
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Request body too large.");
+    chunks.push(chunk);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+  } catch {
+    throw new HttpError(400, "Body must be JSON.");
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Body must be a JSON object.");
+  }
+  return body;
+}
+
+function toFix(raw, fallbackTimestamp) {
+  const fix = {
+    latitude: Number(raw?.latitude),
+    longitude: Number(raw?.longitude),
+    accuracy: Number(raw?.accuracy),
+    timestamp: Number(raw?.timestamp ?? fallbackTimestamp),
+  };
+  return Number.isFinite(fix.latitude) && Number.isFinite(fix.longitude) ? fix : null;
+}
+
+function historyFor(memberName, body, now) {
+  const history = (Array.isArray(body.samples) ? body.samples : [])
+    .slice(0, MAX_SAMPLES)
+    .map((raw) => toFix(raw, now.getTime()))
+    .filter(Boolean);
+
+  const previous = lastAttemptByMember.get(memberName);
+  if (previous && now.getTime() - previous.timestamp < PREVIOUS_ATTEMPT_TTL_MS) {
+    history.push(previous);
+  }
+  return history;
+}
+
+/**
+ * When the check-in was made: `capturedAt` for replays of offline check-ins,
+ * otherwise now.
+ */
+function captureTimeFor(body, now) {
+  if (body.capturedAt == null) return now;
+
+  const at = new Date(body.capturedAt);
+  if (Number.isNaN(at.getTime())) throw new HttpError(400, "capturedAt must be a timestamp.");
+  if (at.getTime() > now.getTime() + CLOCK_SKEW_MS) throw new HttpError(400, "capturedAt is in the future.");
+  if (now - at > OFFLINE_CHECKIN_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    throw new HttpError(422, `Offline check-ins must be sent within ${OFFLINE_CHECKIN_MAX_AGE_HOURS} hours.`);
+  }
+  return at;
+}
+
+async function memberForRequest(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization ?? "");
+  if (!match) throw new HttpError(401, "Sign in first.");
+
+  const user = await fetchAuthUser(match[1]);
+  if (!user?.email) throw new HttpError(401, "Session expired. Sign in again.");
+
+  const rows = await supaFetch(
+    `members?select=name,role&email=eq.${encodeURIComponent(user.email.toLowerCase())}`
+  );
+  if (!rows?.length) throw new HttpError(403, "You're not on the team roster.");
+  return rows[0];
+}
+
+/**
+ * Settings of the tent a check-in is for, once `member` is known to belong:
+ * on its roster, or a site admin (members.role 'admin', sql/011_tents.sql),
+ * who belongs to every tent.
+ */
+async function tentForRequest(member, body) {
+  const tentId = body.tentId ?? DEFAULT_TENT_ID;
+  if (typeof tentId !== "string") throw new HttpError(400, "tentId must be a string.");
+
+  const [tent] = await loadTents(tentId);
+  if (!tent) throw new HttpError(404, "No such tent.");
+
+  if (member.role === "admin") return tent;
+  const members = await loadTentMembers(tent.id);
+  if (!members[member.name]) throw new HttpError(403, `You're not in ${tent.name}.`);
+  return tent;
+}
+
+/**
+ * The member's shift in the tent's current schedule (swaps applied) starting
+ * at `body.shiftStartISO`, or undefined.
+ */
+async function memberShift(member, tent, body) {
+  const startMs = Date.parse(body.shiftStartISO);
+  if (Number.isNaN(startMs)) throw new HttpError(400, "shiftStartISO is required.");
+
+  const id = shiftId(member.name, new Date(startMs).toISOString());
+  const { shifts } = await loadScheduleWithSwaps(tent);
+  return shifts.find((s) => s.shiftId === id);
+}
+
+async function handleOffer(req) {
+  const member = await memberForRequest(req);
+  const body = await readJson(req);
+  const tent = await tentForRequest(member, body);
+
+  const shift = await memberShift(member, tent, body);
+  if (!shift) throw new HttpError(404, "That shift isn't on your current schedule. Reload and try again.");
+  if (shift.start <= new Date()) throw new HttpError(422, "Only upcoming shifts can be offered.");
+
+  let rows;
+  try {
+    rows = await supaFetch("shift_swaps", {
+      method: "POST",
+      body: JSON.stringify({
+        tent_id: tent.id,
+        shift_id: shift.shiftId,
+        from_person: member.name,
+        shift_start: shift.start.toISOString(),
+        shift_end: shift.end.toISOString(),
+      }),
+      headers: { Prefer: "return=representation" },
+    });
+  } catch (e) {
+    // shift_swaps_one_open_offer (sql/011_tents.sql)
+    if (e.message.startsWith("409")) throw new HttpError(409, "That shift is already offered.");
+    throw e;
+  }
+
+  return { ok: true, swap: rows?.[0] ?? null };
+}
+
+/**
+ * Record `fields` (the verified outcome) for the member's shift: insert it
+ * if the shift has no row, or replace a `missed` row. Anything else is a
+ * settled outcome (late, covered, excused, already verified) and stays.
+ */
+async function writeVerified(tent, member, shift, fields) {
+  const key = `tent_id=eq.${encodeURIComponent(tent.id)}&shift_id=eq.${encodeURIComponent(shift.shiftId)}`;
+  const headers = {
+    Prefer: "return=representation",
+    // Recorded in attendance_history (sql/008_attendance_history.sql).
+    "X-Change-Source": "verify",
+    "X-Changed-By": member.name,
+  };
+  const [existing] = (await supaFetch(`${SUPABASE_TABLE}?select=status&${key}`)) ?? [];
+  if (existing && existing.status !== "missed") {
+    throw new HttpError(409, `This shift is already recorded as ${existing.status}.`);
+  }
+
+  const row = {
+    shift_id: shift.shiftId,
+    person: member.name,
+    shift_start: shift.start.toISOString(),
+    shift_end: shift.end.toISOString(),
+    ...fields,
+  };
+
+  if (!existing) {
+    try {
+      const rows = await supaFetch(SUPABASE_TABLE, {
+        method: "POST",
+        body: JSON.stringify({ tent_id: tent.id, ...row }),
+        headers,
+      });
+      return rows?.[0] ?? null;
+    } catch (e) {
+      // Someone else's write landed first.
+      if (e.message.startsWith("409")) throw new HttpError(409, "This shift was just recorded. Reload to see it.");
+      throw e;
+    }
+  }
+
+  // Only while still missed, so a concurrent admin change isn't overwritten.
+  const rows = await supaFetch(`${SUPABASE_TABLE}?${key}&status=eq.missed`, {
+    method: "PATCH",
+    body: JSON.stringify({ ...row, overridden: false, override_reason: null, override_by: null }),
+    headers,
+  });
+  if (!rows?.length) throw new HttpError(409, "This shift was just recorded. Reload to see it.");
+  return rows[0];
+}
+
+async function handleVerify(req) {
+  const member = await memberForRequest(req);
+  const body = await readJson(req);
+  const tent = await tentForRequest(member, body);
+  const shift = await memberShift(member, tent, body);
+
+  const now = new Date();
+  const at = captureTimeFor(body, now);
+  const fix = toFix(body, at.getTime());
+  if (fix && Math.abs(fix.timestamp - at.getTime()) > CAPTURE_FIX_MAX_SKEW_SECONDS * 1000) {
+    throw new HttpError(422, "The location fix wasn't taken when the check-in was made.");
+  }
+
+  const result = evaluateCheckIn({
+    shift,
+    fix,
+    history: historyFor(member.name, body, at),
+    at,
+    tent,
+  });
+  const replayed = now - at > REPLAY_THRESHOLD_MS;
+  const flags = replayed ? [...result.flags, "offline_replay"] : result.flags;
+
+  if (fix) {
+    lastAttemptByMember.set(member.name, fix);
+  }
+
+  if (!result.ok) {
+    throw new HttpError(422, result.reason, {
+      distMeters: result.distMeters,
+      accuracyMeters: result.accuracyMeters,
+      flags: result.flags,
+    });
+  }
+
+  const record = await writeVerified(tent, member, shift, {
+    status: "verified",
+    verified_at: at.toISOString(),
+    received_at: now.toISOString(),
+    distance_meters: result.distMeters,
+    accuracy_meters: result.accuracyMeters,
+    location_flags: flags,
+  });
+
+  return {
+    ok: true,
+    distMeters: result.distMeters,
+    accuracyMeters: result.accuracyMeters,
+    flags,
+    record,
+  };
+}
+
+const ROUTES = { "/verify": handleVerify, "/offer": handleOffer };
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    send(res, 204);
+    return;
+  }
+
+  const handler = ROUTES[new URL(req.url, "http://localhost").pathname];
+  if (req.method !== "POST" || !handler) {
+    send(res, 404, { ok: false, error: "Not found." });
+    return;
+  }
+
+  try {
+    send(res, 200, await handler(req));
+  } catch (e) {
+    if (e instanceof HttpError) {
+      send(res, e.status, { ok: false, error: e.message, ...e.details });
+      return;
+    }
+    console.error(e);
+    send(res, 500, { ok: false, error: "The request failed on the server." });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Verify endpoint listening on http://localhost:${server.address().port}/verify`);
+});
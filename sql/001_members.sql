@@ -0,0 +1,104 @@
+-- Per-member authentication.
+--
+-- Members sign in with a Supabase magic link. Their (lowercased) email is
+-- mapped to the roster name used in schedule.csv, and "admin" is a role on
+-- that mapping rather than a magic login name.
+--
+-- Run in the Supabase SQL editor. Before running, drop any existing
+-- policies on `attendance` that grant the `anon` role access.
+
+create table if not exists public.members (
+  email text primary key check (email = lower(email)),
+  name text not null unique,
+  role text not null default 'member' check (role in ('member', 'admin')),
+  created_at timestamptz not null default now()
+);
+
+-- Roster name of the signed-in user, or null.
+create or replace function public.current_member_name()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select name from public.members where email = lower(auth.jwt() ->> 'email')
+$$;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.members
+    where email = lower(auth.jwt() ->> 'email') and role = 'admin'
+  )
+$$;
+
+alter table public.members enable row level security;
+
+drop policy if exists members_select on public.members;
+create policy members_select on public.members
+  for select to authenticated
+  using (true);
+
+drop policy if exists members_admin_write on public.members;
+create policy members_admin_write on public.members
+  for all to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+-- Attendance: everyone signed in can read; members write only their own
+-- rows and can't mark them overridden; admins write anything.
+alter table public.attendance enable row level security;
+
+drop policy if exists attendance_select on public.attendance;
+create policy attendance_select on public.attendance
+  for select to authenticated
+  using (true);
+
+drop policy if exists attendance_insert on public.attendance;
+create policy attendance_insert on public.attendance
+  for insert to authenticated
+  with check (
+    public.is_admin()
+    or (person = public.current_member_name() and not coalesce(overridden, false))
+  );
+
+drop policy if exists attendance_update on public.attendance;
+create policy attendance_update on public.attendance
+  for update to authenticated
+  using (public.is_admin() or person = public.current_member_name())
+  with check (
+    public.is_admin()
+    or (person = public.current_member_name() and not coalesce(overridden, false))
+  );
+
+-- override_by always records who actually made the change. The service role
+-- (sweep script) has no JWT email and is left alone.
+create or replace function public.stamp_override_by()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.overridden and public.current_member_name() is not null then
+    new.override_by := public.current_member_name();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists attendance_stamp_override_by on public.attendance;
+create trigger attendance_stamp_override_by
+  before insert or update on public.attendance
+  for each row execute function public.stamp_override_by();
+
+alter table public.sweep_metadata enable row level security;
+
+drop policy if exists sweep_metadata_select on public.sweep_metadata;
+create policy sweep_metadata_select on public.sweep_metadata
+  for select to authenticated
+  using (true);
@@ -0,0 +1,35 @@
+-- Only the verify endpoint (scripts/verify_server.mjs, service role) may
+-- write `verified` attendance.
+--
+-- Members lose direct write access to `attendance` entirely; admins keep it
+-- for overrides, which must be marked overridden.
+
+drop policy if exists attendance_insert on public.attendance;
+create policy attendance_insert on public.attendance
+  for insert to authenticated
+  with check (public.is_admin());
+
+drop policy if exists attendance_update on public.attendance;
+create policy attendance_update on public.attendance
+  for update to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+create or replace function public.guard_verified_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'verified'
+     and coalesce(auth.role(), '') <> 'service_role'
+     and not coalesce(new.overridden, false) then
+    raise exception 'verified attendance can only be written by the verify endpoint';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists attendance_guard_verified on public.attendance;
+create trigger attendance_guard_verified
+  before insert or update on public.attendance
+  for each row execute function public.guard_verified_status();
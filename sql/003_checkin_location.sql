@@ -0,0 +1,7 @@
+-- Location details stored with each check-in so admins can audit
+-- borderline ones (written by scripts/verify_server.mjs).
+
+alter table public.attendance
+  add column if not exists distance_meters double precision,
+  add column if not exists accuracy_meters double precision,
+  add column if not exists location_flags text[] not null default '{}';
@@ -0,0 +1,77 @@
+-- Shift swaps: a member offers one of their shifts, another roster member
+-- takes it, and (optionally, see SWAP_REQUIRES_ADMIN_APPROVAL in
+-- js/config.js) an admin approves. Active swaps are overlaid on the CSV
+-- timeline by js/schedule_core.js applySwaps, in the browser, the verify
+-- endpoint and the sweep.
+
+create table if not exists public.shift_swaps (
+  id bigint generated always as identity primary key,
+  shift_id text not null,
+  from_person text not null,
+  to_person text,
+  shift_start timestamptz not null,
+  shift_end timestamptz not null,
+  status text not null default 'offered'
+    check (status in ('offered', 'accepted', 'approved', 'denied', 'cancelled')),
+  offered_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  decided_by text,
+  decided_at timestamptz,
+  check (to_person is null or to_person <> from_person)
+);
+
+-- At most one open offer per shift.
+create unique index if not exists shift_swaps_one_open_offer
+  on public.shift_swaps (shift_id)
+  where status in ('offered', 'accepted');
+
+alter table public.shift_swaps enable row level security;
+
+drop policy if exists shift_swaps_select on public.shift_swaps;
+create policy shift_swaps_select on public.shift_swaps
+  for select to authenticated
+  using (true);
+
+drop policy if exists shift_swaps_offer on public.shift_swaps;
+create policy shift_swaps_offer on public.shift_swaps
+  for insert to authenticated
+  with check (
+    from_person = public.current_member_name()
+    and status = 'offered'
+    and to_person is null
+  );
+
+-- Members may cancel their own open offer or take someone else's;
+-- admins may approve, deny or cancel anything.
+drop policy if exists shift_swaps_update on public.shift_swaps;
+create policy shift_swaps_update on public.shift_swaps
+  for update to authenticated
+  using (public.is_admin() or status = 'offered')
+  with check (
+    public.is_admin()
+    or (status = 'cancelled' and from_person = public.current_member_name())
+    or (status = 'accepted' and to_person = public.current_member_name())
+  );
+
+-- Members can't rewrite what was offered, only its status / taker.
+create or replace function public.guard_swap_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not public.is_admin() and coalesce(auth.role(), '') <> 'service_role' and (
+    new.shift_id <> old.shift_id
+    or new.from_person <> old.from_person
+    or new.shift_start <> old.shift_start
+    or new.shift_end <> old.shift_end
+  ) then
+    raise exception 'only the status and taker of a swap can change';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists shift_swaps_guard_update on public.shift_swaps;
+create trigger shift_swaps_guard_update
+  before update on public.shift_swaps
+  for each row execute function public.guard_swap_update();
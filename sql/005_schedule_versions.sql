@@ -0,0 +1,27 @@
+-- Schedules saved from the admin grid editor. The newest row replaces
+-- data/schedule.csv for the site, the verify endpoint and the sweep; with no
+-- rows, everything falls back to the committed CSV.
+--
+-- `csv` is exactly the `Time,Name,...` format of data/schedule.csv.
+
+create table if not exists public.schedule_versions (
+  id bigint generated always as identity primary key,
+  csv text not null,
+  note text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+alter table public.schedule_versions enable row level security;
+
+-- The committed CSV is public on the site, so saved versions are too
+-- (the schedule loads before sign-in).
+drop policy if exists schedule_versions_select on public.schedule_versions;
+create policy schedule_versions_select on public.schedule_versions
+  for select to anon, authenticated
+  using (true);
+
+drop policy if exists schedule_versions_insert on public.schedule_versions;
+create policy schedule_versions_insert on public.schedule_versions
+  for insert to authenticated
+  with check (public.is_admin() and created_by = public.current_member_name());
@@ -0,0 +1,50 @@
+-- Opt-in shift reminders. Each row is one way to reach a member:
+-- channel 'push' (a Web Push subscription: endpoint in `target`, keys in
+-- `push_keys`), 'email' or 'sms' (address / phone number in `target`).
+-- scripts/send_reminders.mjs (service role) reads these and records what it
+-- sent in `reminders_sent`, so each reminder goes out once.
+
+create table if not exists public.reminder_subscriptions (
+  id bigint generated always as identity primary key,
+  person text not null,
+  channel text not null check (channel in ('push', 'email', 'sms')),
+  target text not null,
+  push_keys jsonb,
+  lead_minutes integer not null default 60 check (lead_minutes > 0),
+  created_at timestamptz not null default now(),
+  unique (person, channel, target)
+);
+
+alter table public.reminder_subscriptions enable row level security;
+
+drop policy if exists reminder_subscriptions_select on public.reminder_subscriptions;
+create policy reminder_subscriptions_select on public.reminder_subscriptions
+  for select to authenticated
+  using (person = public.current_member_name());
+
+drop policy if exists reminder_subscriptions_insert on public.reminder_subscriptions;
+create policy reminder_subscriptions_insert on public.reminder_subscriptions
+  for insert to authenticated
+  with check (person = public.current_member_name());
+
+drop policy if exists reminder_subscriptions_update on public.reminder_subscriptions;
+create policy reminder_subscriptions_update on public.reminder_subscriptions
+  for update to authenticated
+  using (person = public.current_member_name())
+  with check (person = public.current_member_name());
+
+drop policy if exists reminder_subscriptions_delete on public.reminder_subscriptions;
+create policy reminder_subscriptions_delete on public.reminder_subscriptions
+  for delete to authenticated
+  using (person = public.current_member_name());
+
+-- Service role only (no policies).
+create table if not exists public.reminders_sent (
+  subscription_id bigint not null references public.reminder_subscriptions (id) on delete cascade,
+  shift_id text not null,
+  kind text not null check (kind in ('upcoming', 'window_open', 'grace_ending')),
+  sent_at timestamptz not null default now(),
+  primary key (subscription_id, shift_id, kind)
+);
+
+alter table public.reminders_sent enable row level security;
@@ -0,0 +1,6 @@
+-- Check-ins queued offline are replayed later (scripts/verify_server.mjs):
+-- verified_at is when the member checked in, received_at when the endpoint
+-- got it. Live check-ins have both about equal.
+
+alter table public.attendance
+  add column if not exists received_at timestamptz;
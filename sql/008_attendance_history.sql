@@ -0,0 +1,182 @@
+-- Append-only history of every change to `attendance`: who, when, old and
+-- new status (plus the full old/new rows), and where the change came from:
+--   verify          the verify endpoint (scripts/verify_server.mjs)
+--   sweep           the missed-shift sweep (scripts/mark_missed.mjs)
+--   admin_override  an admin writing from the site
+--   admin_undo      undo_attendance_override() below
+--   api             any other service-role write
+--
+-- Service-role scripts say which they are with the X-Change-Source and
+-- X-Changed-By request headers; browser writes can't pick their source.
+
+create table if not exists public.attendance_history (
+  id bigint generated always as identity primary key,
+  shift_id text not null,
+  person text not null,
+  shift_start timestamptz,
+  old_status text,
+  new_status text,
+  old_row jsonb,
+  new_row jsonb,
+  source text not null
+    check (source in ('verify', 'sweep', 'admin_override', 'admin_undo', 'api')),
+  changed_by text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists attendance_history_shift
+  on public.attendance_history (shift_id, id);
+
+alter table public.attendance_history enable row level security;
+
+drop policy if exists attendance_history_select on public.attendance_history;
+create policy attendance_history_select on public.attendance_history
+  for select to authenticated
+  using (public.is_admin());
+
+-- Append-only, even for the service role.
+create or replace function public.forbid_history_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'attendance_history is append-only';
+end;
+$$;
+
+drop trigger if exists attendance_history_append_only on public.attendance_history;
+create trigger attendance_history_append_only
+  before update or delete on public.attendance_history
+  for each row execute function public.forbid_history_change();
+
+create or replace function public.log_attendance_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  headers json := nullif(current_setting('request.headers', true), '')::json;
+  rec public.attendance;
+  src text;
+  who text;
+begin
+  if tg_op = 'UPDATE' and to_jsonb(old) = to_jsonb(new) then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    rec := old;
+  else
+    rec := new;
+  end if;
+
+  if coalesce(auth.role(), '') = 'service_role' then
+    src := coalesce(headers ->> 'x-change-source', 'api');
+    if src not in ('verify', 'sweep', 'api') then
+      src := 'api';
+    end if;
+    who := headers ->> 'x-changed-by';
+  else
+    src := coalesce(nullif(current_setting('app.change_source', true), ''), 'admin_override');
+    who := public.current_member_name();
+  end if;
+
+  insert into public.attendance_history
+    (shift_id, person, shift_start, old_status, new_status, old_row, new_row, source, changed_by)
+  values (
+    rec.shift_id,
+    rec.person,
+    rec.shift_start,
+    case when tg_op <> 'INSERT' then old.status end,
+    case when tg_op <> 'DELETE' then new.status end,
+    case when tg_op <> 'INSERT' then to_jsonb(old) end,
+    case when tg_op <> 'DELETE' then to_jsonb(new) end,
+    src,
+    who
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists attendance_log_change on public.attendance;
+create trigger attendance_log_change
+  after insert or update or delete on public.attendance
+  for each row execute function public.log_attendance_change();
+
+-- Undo restores a `verified` row that no endpoint wrote, so let it through.
+create or replace function public.guard_verified_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'verified'
+     and coalesce(auth.role(), '') <> 'service_role'
+     and not coalesce(new.overridden, false)
+     and coalesce(current_setting('app.change_source', true), '') <> 'admin_undo' then
+    raise exception 'verified attendance can only be written by the verify endpoint';
+  end if;
+  return new;
+end;
+$$;
+
+-- ...and keeps the override_by it restores.
+create or replace function public.stamp_override_by()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.overridden
+     and public.current_member_name() is not null
+     and coalesce(current_setting('app.change_source', true), '') <> 'admin_undo' then
+    new.override_by := public.current_member_name();
+  end if;
+  return new;
+end;
+$$;
+
+-- Put a shift back the way it was before its latest change, which must be
+-- an admin override. An override that created the row removes it again.
+create or replace function public.undo_attendance_override(p_shift_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  h public.attendance_history;
+  prior public.attendance;
+begin
+  if not public.is_admin() then
+    raise exception 'only admins can undo overrides';
+  end if;
+
+  select * into h
+  from public.attendance_history
+  where shift_id = p_shift_id
+  order by id desc
+  limit 1;
+
+  if not found or h.source <> 'admin_override' or h.new_row is null then
+    raise exception 'the latest change to this shift is not an admin override';
+  end if;
+
+  perform set_config('app.change_source', 'admin_undo', true);
+
+  if h.old_row is null then
+    delete from public.attendance where shift_id = p_shift_id;
+    return;
+  end if;
+
+  prior := jsonb_populate_record(null::public.attendance, h.old_row);
+  update public.attendance
+  set status = prior.status,
+      verified_at = prior.verified_at,
+      overridden = prior.overridden,
+      override_by = prior.override_by,
+      override_at = prior.override_at
+  where shift_id = p_shift_id;
+end;
+$$;
+
+grant execute on function public.undo_attendance_override(text) to authenticated;
@@ -0,0 +1,97 @@
+-- Richer attendance outcomes set by admins, each with a required reason:
+--   excused  absence approved in advance or after the fact (exam, illness)
+--   late     showed up `late_minutes` late (partial credit in stats)
+--   covered  a substitute (`covered_by`, a roster name) took the shift
+-- alongside verified and missed. Rows overridden before this migration have
+-- no reason, so that check only applies to new writes (not valid).
+
+alter table public.attendance
+  add column if not exists override_reason text,
+  add column if not exists late_minutes integer,
+  add column if not exists covered_by text;
+
+alter table public.attendance drop constraint if exists attendance_status_check;
+alter table public.attendance
+  add constraint attendance_status_check
+  check (status in ('verified', 'missed', 'excused', 'late', 'covered'));
+
+alter table public.attendance drop constraint if exists attendance_outcome_details;
+alter table public.attendance
+  add constraint attendance_outcome_details
+  check (
+    (status <> 'late' or late_minutes > 0)
+    and (status <> 'covered' or coalesce(covered_by, '') <> '')
+  );
+
+alter table public.attendance drop constraint if exists attendance_override_reason;
+alter table public.attendance
+  add constraint attendance_override_reason
+  check (not overridden or coalesce(trim(override_reason), '') <> '')
+  not valid;
+
+-- The sweep (and any other service-role writer) may only record a miss for
+-- a shift with no outcome yet; it never turns another status into missed.
+create or replace function public.guard_attendance_downgrade()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'missed'
+     and old.status <> 'missed'
+     and coalesce(auth.role(), '') = 'service_role' then
+    raise exception 'cannot downgrade % attendance to missed', old.status;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists attendance_guard_downgrade on public.attendance;
+create trigger attendance_guard_downgrade
+  before update on public.attendance
+  for each row execute function public.guard_attendance_downgrade();
+
+-- Undo also restores the outcome details.
+create or replace function public.undo_attendance_override(p_shift_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  h public.attendance_history;
+  prior public.attendance;
+begin
+  if not public.is_admin() then
+    raise exception 'only admins can undo overrides';
+  end if;
+
+  select * into h
+  from public.attendance_history
+  where shift_id = p_shift_id
+  order by id desc
+  limit 1;
+
+  if not found or h.source <> 'admin_override' or h.new_row is null then
+    raise exception 'the latest change to this shift is not an admin override';
+  end if;
+
+  perform set_config('app.change_source', 'admin_undo', true);
+
+  if h.old_row is null then
+    delete from public.attendance where shift_id = p_shift_id;
+    return;
+  end if;
+
+  prior := jsonb_populate_record(null::public.attendance, h.old_row);
+  update public.attendance
+  set status = prior.status,
+      verified_at = prior.verified_at,
+      overridden = prior.overridden,
+      override_by = prior.override_by,
+      override_at = prior.override_at,
+      override_reason = prior.override_reason,
+      late_minutes = prior.late_minutes,
+      covered_by = prior.covered_by
+  where shift_id = p_shift_id;
+end;
+$$;
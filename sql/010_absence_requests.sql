@@ -0,0 +1,77 @@
+-- Planned absences: a member asks to be excused from one of their upcoming
+-- shifts (with a reason) and an admin approves or denies it. Once an
+-- approved shift has passed, scripts/mark_missed.mjs records it as
+-- `excused` (linked back here) instead of `missed`, and coverage checks
+-- count the slot as open.
+
+create table if not exists public.absence_requests (
+  id bigint generated always as identity primary key,
+  shift_id text not null,
+  person text not null,
+  shift_start timestamptz not null,
+  shift_end timestamptz not null,
+  reason text not null check (trim(reason) <> ''),
+  status text not null default 'requested'
+    check (status in ('requested', 'approved', 'denied', 'cancelled')),
+  requested_at timestamptz not null default now(),
+  decided_by text,
+  decided_at timestamptz
+);
+
+-- At most one open (or approved) request per shift.
+create unique index if not exists absence_requests_one_open
+  on public.absence_requests (shift_id)
+  where status in ('requested', 'approved');
+
+alter table public.attendance
+  add column if not exists absence_request_id bigint references public.absence_requests (id);
+
+alter table public.absence_requests enable row level security;
+
+drop policy if exists absence_requests_select on public.absence_requests;
+create policy absence_requests_select on public.absence_requests
+  for select to authenticated
+  using (public.is_admin() or person = public.current_member_name());
+
+drop policy if exists absence_requests_insert on public.absence_requests;
+create policy absence_requests_insert on public.absence_requests
+  for insert to authenticated
+  with check (
+    person = public.current_member_name()
+    and status = 'requested'
+    and shift_start > now()
+  );
+
+-- Members may cancel their own pending request; admins decide.
+drop policy if exists absence_requests_update on public.absence_requests;
+create policy absence_requests_update on public.absence_requests
+  for update to authenticated
+  using (public.is_admin() or (status = 'requested' and person = public.current_member_name()))
+  with check (
+    public.is_admin()
+    or (status = 'cancelled' and person = public.current_member_name())
+  );
+
+-- Only the status (and decision stamp) of a request can change.
+create or replace function public.guard_absence_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(auth.role(), '') <> 'service_role' and (
+    new.shift_id <> old.shift_id
+    or new.person <> old.person
+    or new.shift_start <> old.shift_start
+    or new.shift_end <> old.shift_end
+    or new.reason <> old.reason
+  ) then
+    raise exception 'only the status of an absence request can change';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists absence_requests_guard_update on public.absence_requests;
+create trigger absence_requests_guard_update
+  before update on public.absence_requests
+  for each row execute function public.guard_absence_update();
@@ -0,0 +1,372 @@
+-- Several tents (groups) in one deployment. Each tent has its own schedule,
+-- roster, admins, geofence and verify windows; every per-shift table is
+-- scoped by tent_id. Settings left null fall back to the defaults in
+-- js/config.js (see js/tents.js).
+--
+-- Everything that existed before this migration becomes tent 'main', and
+-- every member joins it with their current role. A member can belong to
+-- any number of tents (tent_members). members.role = 'admin' stays a site
+-- admin: admin of every tent, and the only one who can create tents.
+
+create table if not exists public.tents (
+  id text primary key check (id ~ '^[a-z0-9][a-z0-9-]*$'),
+  name text not null,
+  schedule_csv_path text not null default 'data/schedule.csv',
+  time_zone text,
+  geofence jsonb,
+  target_lat double precision,
+  target_lon double precision,
+  verify_before_minutes integer check (verify_before_minutes >= 0),
+  verify_after_minutes integer check (verify_after_minutes >= 0),
+  tent_check_min_day integer check (tent_check_min_day >= 0),
+  tent_check_min_night integer check (tent_check_min_night >= 0),
+  created_at timestamptz not null default now()
+);
+
+insert into public.tents (id, name) values ('main', 'Main tent')
+on conflict (id) do nothing;
+
+create table if not exists public.tent_members (
+  tent_id text not null references public.tents (id) on delete cascade,
+  name text not null references public.members (name) on update cascade on delete cascade,
+  role text not null default 'member' check (role in ('member', 'admin')),
+  primary key (tent_id, name)
+);
+
+insert into public.tent_members (tent_id, name, role)
+select 'main', name, role from public.members
+on conflict do nothing;
+
+create or replace function public.is_tent_member(p_tent_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_admin() or exists (
+    select 1 from public.tent_members
+    where tent_id = p_tent_id and name = public.current_member_name()
+  )
+$$;
+
+create or replace function public.is_tent_admin(p_tent_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_admin() or exists (
+    select 1 from public.tent_members
+    where tent_id = p_tent_id and name = public.current_member_name() and role = 'admin'
+  )
+$$;
+
+alter table public.tents enable row level security;
+
+-- Tent settings are as public as the schedule files.
+drop policy if exists tents_select on public.tents;
+create policy tents_select on public.tents
+  for select to anon, authenticated
+  using (true);
+
+drop policy if exists tents_write on public.tents;
+create policy tents_write on public.tents
+  for all to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+-- Tent admins can update their own tent's settings (not create or delete).
+drop policy if exists tents_admin_update on public.tents;
+create policy tents_admin_update on public.tents
+  for update to authenticated
+  using (public.is_tent_admin(id))
+  with check (public.is_tent_admin(id));
+
+alter table public.tent_members enable row level security;
+
+drop policy if exists tent_members_select on public.tent_members;
+create policy tent_members_select on public.tent_members
+  for select to authenticated
+  using (true);
+
+drop policy if exists tent_members_write on public.tent_members;
+create policy tent_members_write on public.tent_members
+  for all to authenticated
+  using (public.is_tent_admin(tent_id))
+  with check (public.is_tent_admin(tent_id));
+
+-- Scope every per-shift table by tent.
+alter table public.attendance
+  add column if not exists tent_id text not null default 'main' references public.tents (id);
+alter table public.attendance_history
+  add column if not exists tent_id text not null default 'main';
+alter table public.shift_swaps
+  add column if not exists tent_id text not null default 'main' references public.tents (id);
+alter table public.absence_requests
+  add column if not exists tent_id text not null default 'main' references public.tents (id);
+alter table public.schedule_versions
+  add column if not exists tent_id text not null default 'main' references public.tents (id);
+alter table public.reminders_sent
+  add column if not exists tent_id text not null default 'main';
+
+alter table public.reminders_sent drop constraint if exists reminders_sent_pkey;
+alter table public.reminders_sent add primary key (subscription_id, tent_id, shift_id, kind);
+
+-- The same person can have a shift at the same time in two tents, so the
+-- attendance keys gain tent_id: drop the old unique constraints (including a
+-- primary key on shift_id alone) and key on (tent_id, ...) instead.
+do $$
+declare
+  c record;
+begin
+  for c in
+    select con.conname, con.contype
+    from pg_constraint con
+    where con.conrelid = 'public.attendance'::regclass
+      and con.contype in ('p', 'u')
+      and not exists (
+        select 1 from pg_attribute a
+        where a.attrelid = con.conrelid and a.attnum = any (con.conkey) and a.attname = 'tent_id'
+      )
+  loop
+    execute format('alter table public.attendance drop constraint %I', c.conname);
+    if c.contype = 'p' then
+      alter table public.attendance add primary key (tent_id, shift_id);
+    end if;
+  end loop;
+end;
+$$;
+
+create unique index if not exists attendance_tent_shift
+  on public.attendance (tent_id, person, shift_start, shift_end);
+create index if not exists attendance_history_tent_shift
+  on public.attendance_history (tent_id, shift_id, id);
+
+drop index if exists public.shift_swaps_one_open_offer;
+create unique index shift_swaps_one_open_offer
+  on public.shift_swaps (tent_id, shift_id)
+  where status in ('offered', 'accepted');
+
+drop index if exists public.absence_requests_one_open;
+create unique index absence_requests_one_open
+  on public.absence_requests (tent_id, shift_id)
+  where status in ('requested', 'approved');
+
+-- Policies: members see their tents' rows, tent admins write them.
+drop policy if exists attendance_select on public.attendance;
+create policy attendance_select on public.attendance
+  for select to authenticated
+  using (public.is_tent_member(tent_id));
+
+drop policy if exists attendance_insert on public.attendance;
+create policy attendance_insert on public.attendance
+  for insert to authenticated
+  with check (public.is_tent_admin(tent_id));
+
+drop policy if exists attendance_update on public.attendance;
+create policy attendance_update on public.attendance
+  for update to authenticated
+  using (public.is_tent_admin(tent_id))
+  with check (public.is_tent_admin(tent_id));
+
+drop policy if exists attendance_history_select on public.attendance_history;
+create policy attendance_history_select on public.attendance_history
+  for select to authenticated
+  using (public.is_tent_admin(tent_id));
+
+drop policy if exists shift_swaps_select on public.shift_swaps;
+create policy shift_swaps_select on public.shift_swaps
+  for select to authenticated
+  using (public.is_tent_member(tent_id));
+
+drop policy if exists shift_swaps_offer on public.shift_swaps;
+create policy shift_swaps_offer on public.shift_swaps
+  for insert to authenticated
+  with check (
+    public.is_tent_member(tent_id)
+    and from_person = public.current_member_name()
+    and status = 'offered'
+    and to_person is null
+  );
+
+drop policy if exists shift_swaps_update on public.shift_swaps;
+create policy shift_swaps_update on public.shift_swaps
+  for update to authenticated
+  using (public.is_tent_admin(tent_id) or (status = 'offered' and public.is_tent_member(tent_id)))
+  with check (
+    public.is_tent_admin(tent_id)
+    or (status = 'cancelled' and from_person = public.current_member_name())
+    or (status = 'accepted' and to_person = public.current_member_name())
+  );
+
+create or replace function public.guard_swap_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.tent_id <> old.tent_id then
+    raise exception 'a swap can''t move to another tent';
+  end if;
+  if not public.is_tent_admin(old.tent_id) and coalesce(auth.role(), '') <> 'service_role' and (
+    new.shift_id <> old.shift_id
+    or new.from_person <> old.from_person
+    or new.shift_start <> old.shift_start
+    or new.shift_end <> old.shift_end
+  ) then
+    raise exception 'only the status and taker of a swap can change';
+  end if;
+  return new;
+end;
+$$;
+
+drop policy if exists absence_requests_select on public.absence_requests;
+create policy absence_requests_select on public.absence_requests
+  for select to authenticated
+  using (public.is_tent_admin(tent_id) or person = public.current_member_name());
+
+drop policy if exists absence_requests_insert on public.absence_requests;
+create policy absence_requests_insert on public.absence_requests
+  for insert to authenticated
+  with check (
+    public.is_tent_member(tent_id)
+    and person = public.current_member_name()
+    and status = 'requested'
+    and shift_start > now()
+  );
+
+drop policy if exists absence_requests_update on public.absence_requests;
+create policy absence_requests_update on public.absence_requests
+  for update to authenticated
+  using (public.is_tent_admin(tent_id) or (status = 'requested' and person = public.current_member_name()))
+  with check (
+    public.is_tent_admin(tent_id)
+    or (status = 'cancelled' and person = public.current_member_name())
+  );
+
+create or replace function public.guard_absence_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(auth.role(), '') <> 'service_role' and (
+    new.tent_id <> old.tent_id
+    or new.shift_id <> old.shift_id
+    or new.person <> old.person
+    or new.shift_start <> old.shift_start
+    or new.shift_end <> old.shift_end
+    or new.reason <> old.reason
+  ) then
+    raise exception 'only the status of an absence request can change';
+  end if;
+  return new;
+end;
+$$;
+
+drop policy if exists schedule_versions_insert on public.schedule_versions;
+create policy schedule_versions_insert on public.schedule_versions
+  for insert to authenticated
+  with check (public.is_tent_admin(tent_id) and created_by = public.current_member_name());
+
+-- History rows carry the tent too.
+create or replace function public.log_attendance_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  headers json := nullif(current_setting('request.headers', true), '')::json;
+  rec public.attendance;
+  src text;
+  who text;
+begin
+  if tg_op = 'UPDATE' and to_jsonb(old) = to_jsonb(new) then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    rec := old;
+  else
+    rec := new;
+  end if;
+
+  if coalesce(auth.role(), '') = 'service_role' then
+    src := coalesce(headers ->> 'x-change-source', 'api');
+    if src not in ('verify', 'sweep', 'api') then
+      src := 'api';
+    end if;
+    who := headers ->> 'x-changed-by';
+  else
+    src := coalesce(nullif(current_setting('app.change_source', true), ''), 'admin_override');
+    who := public.current_member_name();
+  end if;
+
+  insert into public.attendance_history
+    (tent_id, shift_id, person, shift_start, old_status, new_status, old_row, new_row, source, changed_by)
+  values (
+    rec.tent_id,
+    rec.shift_id,
+    rec.person,
+    rec.shift_start,
+    case when tg_op <> 'INSERT' then old.status end,
+    case when tg_op <> 'DELETE' then new.status end,
+    case when tg_op <> 'INSERT' then to_jsonb(old) end,
+    case when tg_op <> 'DELETE' then to_jsonb(new) end,
+    src,
+    who
+  );
+  return null;
+end;
+$$;
+
+-- Undo now names the tent as well as the shift.
+drop function if exists public.undo_attendance_override(text);
+
+create or replace function public.undo_attendance_override(p_tent_id text, p_shift_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  h public.attendance_history;
+  prior public.attendance;
+begin
+  if not public.is_tent_admin(p_tent_id) then
+    raise exception 'only admins of this tent can undo overrides';
+  end if;
+
+  select * into h
+  from public.attendance_history
+  where tent_id = p_tent_id and shift_id = p_shift_id
+  order by id desc
+  limit 1;
+
+  if not found or h.source <> 'admin_override' or h.new_row is null then
+    raise exception 'the latest change to this shift is not an admin override';
+  end if;
+
+  perform set_config('app.change_source', 'admin_undo', true);
+
+  if h.old_row is null then
+    delete from public.attendance where tent_id = p_tent_id and shift_id = p_shift_id;
+    return;
+  end if;
+
+  prior := jsonb_populate_record(null::public.attendance, h.old_row);
+  update public.attendance
+  set status = prior.status,
+      verified_at = prior.verified_at,
+      overridden = prior.overridden,
+      override_by = prior.override_by,
+      override_at = prior.override_at,
+      override_reason = prior.override_reason,
+      late_minutes = prior.late_minutes,
+      covered_by = prior.covered_by
+  where tent_id = p_tent_id and shift_id = p_shift_id;
+end;
+$$;
+
+grant execute on function public.undo_attendance_override(text, text) to authenticated;
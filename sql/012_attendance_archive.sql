@@ -0,0 +1,139 @@
+-- Rows the sweep's reconcile mode (scripts/mark_missed.mjs --reconcile)
+-- takes out of `attendance` because the schedule no longer has their shift:
+--   orphan     the shift is gone and nothing replaced it
+--   moved      a missed row whose shift moved; the sweep re-judges the new one
+--   duplicate  a second row for a shift that already has one
+-- Nothing is deleted outright: archive_attendance() moves the full row here.
+-- Moved rows with any other status are re-keyed in place instead.
+
+create table if not exists public.attendance_archive (
+  id bigint generated always as identity primary key,
+  tent_id text not null,
+  shift_id text not null,
+  person text not null,
+  shift_start timestamptz,
+  shift_end timestamptz,
+  status text,
+  row jsonb not null,
+  reason text not null check (reason in ('orphan', 'moved', 'duplicate')),
+  note text,
+  archived_by text,
+  archived_at timestamptz not null default now()
+);
+
+create index if not exists attendance_archive_tent_shift
+  on public.attendance_archive (tent_id, shift_id);
+
+alter table public.attendance_archive enable row level security;
+
+drop policy if exists attendance_archive_select on public.attendance_archive;
+create policy attendance_archive_select on public.attendance_archive
+  for select to authenticated
+  using (public.is_tent_admin(tent_id));
+
+-- Archive and delete in one transaction, so a row is never lost or kept twice.
+create or replace function public.archive_attendance(
+  p_tent_id text,
+  p_person text,
+  p_shift_start timestamptz,
+  p_shift_end timestamptz,
+  p_reason text,
+  p_note text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  headers json := nullif(current_setting('request.headers', true), '')::json;
+  rec public.attendance;
+begin
+  delete from public.attendance
+  where tent_id = p_tent_id
+    and person = p_person
+    and shift_start = p_shift_start
+    and shift_end = p_shift_end
+  returning * into rec;
+
+  if not found then
+    raise exception 'no attendance row to archive';
+  end if;
+
+  insert into public.attendance_archive
+    (tent_id, shift_id, person, shift_start, shift_end, status, row, reason, note, archived_by)
+  values (
+    rec.tent_id,
+    rec.shift_id,
+    rec.person,
+    rec.shift_start,
+    rec.shift_end,
+    rec.status,
+    to_jsonb(rec),
+    p_reason,
+    p_note,
+    headers ->> 'x-changed-by'
+  );
+end;
+$$;
+
+revoke execute on function public.archive_attendance(text, text, timestamptz, timestamptz, text, text)
+  from public, anon, authenticated;
+grant execute on function public.archive_attendance(text, text, timestamptz, timestamptz, text, text)
+  to service_role;
+
+-- Reconcile writes show up in attendance_history as their own source.
+alter table public.attendance_history drop constraint if exists attendance_history_source_check;
+alter table public.attendance_history add constraint attendance_history_source_check
+  check (source in ('verify', 'sweep', 'reconcile', 'admin_override', 'admin_undo', 'api'));
+
+create or replace function public.log_attendance_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  headers json := nullif(current_setting('request.headers', true), '')::json;
+  rec public.attendance;
+  src text;
+  who text;
+begin
+  if tg_op = 'UPDATE' and to_jsonb(old) = to_jsonb(new) then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    rec := old;
+  else
+    rec := new;
+  end if;
+
+  if coalesce(auth.role(), '') = 'service_role' then
+    src := coalesce(headers ->> 'x-change-source', 'api');
+    if src not in ('verify', 'sweep', 'reconcile', 'api') then
+      src := 'api';
+    end if;
+    who := headers ->> 'x-changed-by';
+  else
+    src := coalesce(nullif(current_setting('app.change_source', true), ''), 'admin_override');
+    who := public.current_member_name();
+  end if;
+
+  insert into public.attendance_history
+    (tent_id, shift_id, person, shift_start, old_status, new_status, old_row, new_row, source, changed_by)
+  values (
+    rec.tent_id,
+    rec.shift_id,
+    rec.person,
+    rec.shift_start,
+    case when tg_op <> 'INSERT' then old.status end,
+    case when tg_op <> 'DELETE' then new.status end,
+    case when tg_op <> 'INSERT' then to_jsonb(old) end,
+    case when tg_op <> 'DELETE' then to_jsonb(new) end,
+    src,
+    who
+  );
+  return null;
+end;
+$$;
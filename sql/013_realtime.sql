@@ -0,0 +1,14 @@
+-- Live attendance updates in the site (js/realtime.js): publish changes to
+-- `attendance` over Supabase Realtime. Subscribers only receive rows their
+-- attendance_select policy lets them read (sql/011_tents.sql).
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'attendance'
+  ) then
+    alter publication supabase_realtime add table public.attendance;
+  end if;
+end;
+$$;
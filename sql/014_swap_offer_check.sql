@@ -0,0 +1,13 @@
+-- Swap offers must be for a shift the offering member actually has. Only
+-- the shared JS schedule code (js/schedule_core.js) knows a tent's shifts,
+-- so offers are written by the verify endpoint's server (POST /offer in
+-- scripts/verify_server.mjs, service role) after it finds the shift there;
+-- members can no longer insert into shift_swaps directly. Withdrawing,
+-- taking and deciding offers are unchanged (sql/011_tents.sql).
+
+drop policy if exists shift_swaps_offer on public.shift_swaps;
+
+-- An earlier draft of this migration checked offers in SQL.
+drop function if exists public.is_scheduled_shift(text, text, timestamptz, timestamptz);
+drop function if exists public.member_scheduled_shifts(text, text);
+drop table if exists public.published_schedules;
@@ -0,0 +1,23 @@
+-- Reminder subscriptions belong to one tent (sql/011_tents.sql): a member in
+-- two tents opts in, picks lead times and opts out for each separately, and
+-- scripts/send_reminders.mjs only reminds a subscription about its tent's
+-- shifts. Existing subscriptions predate tents and stay with 'main'.
+
+alter table public.reminder_subscriptions
+  add column if not exists tent_id text not null default 'main' references public.tents (id) on delete cascade;
+
+alter table public.reminder_subscriptions
+  drop constraint if exists reminder_subscriptions_person_channel_target_key;
+create unique index if not exists reminder_subscriptions_tent_target
+  on public.reminder_subscriptions (tent_id, person, channel, target);
+
+drop policy if exists reminder_subscriptions_insert on public.reminder_subscriptions;
+create policy reminder_subscriptions_insert on public.reminder_subscriptions
+  for insert to authenticated
+  with check (person = public.current_member_name() and public.is_tent_member(tent_id));
+
+drop policy if exists reminder_subscriptions_update on public.reminder_subscriptions;
+create policy reminder_subscriptions_update on public.reminder_subscriptions
+  for update to authenticated
+  using (person = public.current_member_name())
+  with check (person = public.current_member_name() and public.is_tent_member(tent_id));
@@ -0,0 +1,8 @@
+-- Night hours per tent: tent-check minimums and the schedule generator use
+-- a tent's own night (night_start_hour until night_end_hour on its wall
+-- clock) instead of the one in js/config.js. Null keeps the config.js
+-- default (see js/tents.js).
+
+alter table public.tents
+  add column if not exists night_start_hour integer check (night_start_hour between 0 and 23),
+  add column if not exists night_end_hour integer check (night_end_hour between 0 and 23);
@@ -0,0 +1,140 @@
+/**
+ * Service worker:
+ * - Caches the app shell (page, JS modules, CSS, schedule.csv and the CDN
+ *   libraries) so the app opens with no signal. Same-origin files are
+ *   network-first with a short timeout, falling back to the cache; versioned
+ *   CDN files are cache-first. Supabase and the verify endpoint are never
+ *   cached (check-ins made offline are queued by js/checkin_queue.js).
+ * - Shows shift reminders sent by scripts/send_reminders.mjs
+ *   (payload { title, body, url, tag }) and focuses the site when one is tapped.
+ *
+ * Bump CACHE_NAME when the APP_SHELL list changes.
+ */
+
+const CACHE_NAME = "tenting-v5";
+const NETWORK_TIMEOUT_MS = 3000;
+const CDN_ORIGIN = "https://cdn.jsdelivr.net";
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "basketball_icon.png",
+  "css/styles.css",
+  "data/schedule.csv",
+  "js/absences.js",
+  "js/admin.js",
+  "js/auth.js",
+  "js/checkin_queue.js",
+  "js/config.js",
+  "js/coverage.js",
+  "js/dashboard.js",
+  "js/db.js",
+  "js/editor.js",
+  "js/export.js",
+  "js/export_panel.js",
+  "js/generator.js",
+  "js/generator_panel.js",
+  "js/geo.js",
+  "js/ical.js",
+  "js/main.js",
+  "js/now.js",
+  "js/pwa.js",
+  "js/realtime.js",
+  "js/reminders.js",
+  "js/reminders_core.js",
+  "js/roster.js",
+  "js/schedule.js",
+  "js/schedule_core.js",
+  "js/stats.js",
+  "js/swaps.js",
+  "js/tents.js",
+  "js/timezone.js",
+  "js/ui.js",
+  "js/verify_core.js",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css",
+  "https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  const network = fetch(request).then((res) => {
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  });
+  const timeout = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+
+  try {
+    const res = await Promise.race([network, timeout]);
+    if (res) return res;
+  } catch {
+    // Offline: fall through to the cache.
+  }
+
+  const cached = await cache.match(request, { ignoreSearch: true });
+  return cached ?? network;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(CACHE_NAME)).put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === CDN_ORIGIN) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener("push", (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title ?? "Tent shift", {
+      body: data.body ?? "",
+      icon: "basketball_icon.png",
+      tag: data.tag,
+      data: { url: data.url || self.registration.scope },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url ?? self.registration.scope;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => w.url.startsWith(self.registration.scope));
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
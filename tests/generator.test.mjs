@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import Papa from "papaparse";
+import { isNightTime } from "../js/coverage.js";
+import { generateSchedule, parseAvailability } from "../js/generator.js";
+import { buildAllShifts, serializeScheduleCSV } from "../js/schedule_core.js";
+import { lintScheduleCSV } from "../js/schedule_lint.js";
+import { DEFAULT_TENT } from "../js/tents.js";
+
+const HOUR = 60 * 60 * 1000;
+const example = JSON.parse(fs.readFileSync(new URL("../data/availability.example.json", import.meta.url), "utf8"));
+
+function generate(input) {
+  const availability = parseAvailability(input);
+  return { availability, result: generateSchedule(availability) };
+}
+
+const shiftHours = (s) => (s.end - s.start) / HOUR;
+
+describe("generateSchedule", () => {
+  it("produces a schedule that passes the validator", () => {
+    const { availability, result } = generate(example);
+    const maxShiftHours = Math.max(availability.maxShiftHours.day, availability.maxShiftHours.night);
+    const issues = lintScheduleCSV(serializeScheduleCSV(result, Papa), Papa, { maxShiftHours });
+    assert.deepEqual(issues, []);
+  });
+
+  it("never runs a daytime shift past the day limit", () => {
+    const { availability, result } = generate(example);
+    const dayShifts = buildAllShifts(result.timeline, result.people).filter(
+      (s) => !isNightTime(s.start) && !isNightTime(new Date(s.end.getTime() - 1))
+    );
+    assert.ok(dayShifts.length > 0);
+    for (const s of dayShifts) assert.ok(shiftHours(s) <= availability.maxShiftHours.day, `${s.person} ${s.start.toISOString()}`);
+  });
+
+  it("hands over to someone else at the limit", () => {
+    const { result } = generate({
+      start: "2026-02-02T08:00",
+      end: "2026-02-02T16:00",
+      headcount: { day: 1, night: 1 },
+      maxShiftHours: { day: 4, night: 8 },
+      members: { Alex: {}, Brendan: {} },
+    });
+
+    assert.deepEqual(result.unfilled, []);
+    assert.deepEqual(
+      buildAllShifts(result.timeline, result.people).map((s) => [s.person, shiftHours(s)]),
+      [
+        ["Alex", 4],
+        ["Brendan", 4],
+      ]
+    );
+  });
+
+  it("leaves a slot short rather than stretch the only person's shift", () => {
+    const { result } = generate({
+      start: "2026-02-02T08:00",
+      end: "2026-02-02T14:00",
+      headcount: { day: 1, night: 1 },
+      maxShiftHours: { day: 4, night: 8 },
+      members: { Alex: {} },
+    });
+
+    assert.ok(buildAllShifts(result.timeline, result.people).every((s) => shiftHours(s) <= 4));
+    assert.equal(result.unfilled[0].start.toISOString(), "2026-02-02T17:00:00.000Z");
+  });
+
+  it("uses the tent's night hours", () => {
+    const tent = { ...DEFAULT_TENT, nightStartHour: 20, nightEndHour: 8 };
+    const availability = parseAvailability(
+      {
+        start: "2026-02-02T18:00",
+        end: "2026-02-02T22:00",
+        headcount: { day: 1, night: 2 },
+        members: { Alex: {}, Brendan: {} },
+      },
+      tent
+    );
+    const { timeline } = generateSchedule(availability);
+
+    // 18:00-20:00 is day (one on), 20:00-22:00 night (both on).
+    const onDuty = (row) => Object.values(row.flags).filter(Boolean).length;
+    assert.deepEqual(timeline.slice(0, -1).map(onDuty), [1, 1, 1, 1, 2, 2, 2, 2]);
+  });
+});
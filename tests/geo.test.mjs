@@ -0,0 +1,185 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { GEOFENCE, GEOFENCE_BORDERLINE_MAX_METERS, GEOFENCE_BUFFER_METERS } from "../js/config.js";
+import {
+  assessFixes,
+  evaluateLocation,
+  geofenceDistance,
+  geofencePolygons,
+  haversineMeters,
+  pointInPolygon,
+} from "../js/geo.js";
+
+const METERS_PER_DEGREE_LAT = 111195;
+
+// A 0.002° square with a 0.0005° square hole in the middle.
+const outer = [
+  [-79.002, 36.0],
+  [-79.0, 36.0],
+  [-79.0, 36.002],
+  [-79.002, 36.002],
+  [-79.002, 36.0],
+];
+const hole = [
+  [-79.00125, 36.00075],
+  [-79.00075, 36.00075],
+  [-79.00075, 36.00125],
+  [-79.00125, 36.00125],
+  [-79.00125, 36.00075],
+];
+const square = { type: "Polygon", coordinates: [outer] };
+const holed = { type: "Polygon", coordinates: [outer, hole] };
+const squareTent = { geofence: square, targetCoord: { lat: 36.001, lon: -79.001 } };
+
+// `meters` north of the square's top edge, halfway along it.
+const north = (meters, accuracy) => ({
+  latitude: 36.002 + meters / METERS_PER_DEGREE_LAT,
+  longitude: -79.001,
+  accuracy,
+  timestamp: 0,
+});
+
+describe("haversineMeters", () => {
+  it("is zero for the same point", () => {
+    assert.equal(haversineMeters(35.9972, -78.9415, 35.9972, -78.9415), 0);
+  });
+
+  it("measures one degree of latitude as about 111 km", () => {
+    const d = haversineMeters(35, -79, 36, -79);
+    assert.ok(Math.abs(d - 111195) < 10, `got ${d}`);
+  });
+
+  it("shrinks a degree of longitude with latitude", () => {
+    const atEquator = haversineMeters(0, 0, 0, 1);
+    const atCampus = haversineMeters(36, 0, 36, 1);
+    assert.ok(Math.abs(atCampus / atEquator - Math.cos((36 * Math.PI) / 180)) < 1e-3);
+  });
+
+  it("is symmetric", () => {
+    assert.equal(haversineMeters(35.99, -78.94, 35.91, -79.05), haversineMeters(35.91, -79.05, 35.99, -78.94));
+  });
+});
+
+describe("evaluateLocation", () => {
+  // A point inside the configured geofence: the average of its outer ring.
+  const ring = GEOFENCE.coordinates[0].slice(0, -1);
+  const inside = {
+    latitude: ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length + 1e-6,
+    longitude: ring.reduce((sum, [lon]) => sum + lon, 0) / ring.length + 1e-6,
+    accuracy: 8,
+  };
+
+  it("accepts a precise fix inside the geofence", () => {
+    const result = evaluateLocation(inside);
+    assert.equal(result.ok, true, result.reason);
+    assert.equal(result.distMeters, 0);
+  });
+
+  it("rejects a fix far outside the geofence", () => {
+    const result = evaluateLocation({ latitude: 35.91, longitude: -79.05, accuracy: 8 });
+    assert.equal(result.ok, false);
+    assert.ok(result.distMeters > 1000);
+  });
+
+  it("rejects an imprecise fix", () => {
+    const result = evaluateLocation({ ...inside, accuracy: 5000 });
+    assert.equal(result.ok, false);
+    assert.match(result.reason, /imprecise/);
+  });
+});
+
+describe("geofence polygons", () => {
+  it("flattens features and multipolygons into polygons", () => {
+    const collection = {
+      type: "FeatureCollection",
+      features: [
+        { type: "Feature", geometry: square },
+        { type: "Feature", geometry: { type: "MultiPolygon", coordinates: [[outer], [outer, hole]] } },
+      ],
+    };
+    assert.equal(geofencePolygons(collection).length, 3);
+    assert.deepEqual(geofencePolygons(null), []);
+    assert.throws(() => geofencePolygons({ type: "Point", coordinates: [0, 0] }), /Unsupported/);
+  });
+
+  it("treats a hole as outside", () => {
+    const [polygon] = geofencePolygons(holed);
+    assert.equal(pointInPolygon(-79.0018, 36.0018, polygon), true);
+    assert.equal(pointInPolygon(-79.001, 36.001, polygon), false);
+    assert.equal(pointInPolygon(-79.003, 36.001, polygon), false);
+  });
+
+  it("measures the distance to the nearest edge, holes included", () => {
+    const outside = geofenceDistance(north(10), square);
+    assert.equal(outside.inside, false);
+    assert.ok(Math.abs(outside.edgeMeters - 10) < 0.1, `got ${outside.edgeMeters}`);
+
+    const inHole = geofenceDistance({ latitude: 36.001, longitude: -79.001 }, holed);
+    assert.equal(inHole.inside, false);
+    // The hole's east and west edges are the nearest: 0.00025° of longitude.
+    const expected = 0.00025 * METERS_PER_DEGREE_LAT * Math.cos((36.001 * Math.PI) / 180);
+    assert.ok(Math.abs(inHole.edgeMeters - expected) < 0.5, `got ${inHole.edgeMeters}`);
+  });
+});
+
+describe("evaluateLocation near the edge", () => {
+  const evaluate = (fix) => evaluateLocation(fix, [], squareTent);
+  const beyondBuffer = GEOFENCE_BUFFER_METERS + GEOFENCE_BORDERLINE_MAX_METERS / 2;
+
+  it("accepts a fix inside the buffer without flagging it", () => {
+    const result = evaluate(north(GEOFENCE_BUFFER_METERS - 1, 5));
+    assert.equal(result.ok, true, result.reason);
+    assert.deepEqual(result.flags, []);
+  });
+
+  it("accepts a fix past the buffer as borderline when its accuracy reaches the fence", () => {
+    const result = evaluate(north(beyondBuffer, beyondBuffer + 1));
+    assert.equal(result.ok, true, result.reason);
+    assert.deepEqual(result.flags, ["borderline"]);
+  });
+
+  it("rejects a precise fix past the buffer", () => {
+    assert.equal(evaluate(north(beyondBuffer, 10)).ok, false);
+  });
+
+  it("caps how far accuracy can stretch the fence", () => {
+    const distance = GEOFENCE_BUFFER_METERS + GEOFENCE_BORDERLINE_MAX_METERS + 1;
+    assert.equal(evaluate(north(distance, distance + 10)).ok, false);
+  });
+});
+
+describe("assessFixes", () => {
+  const target = squareTent.targetCoord;
+  const at = (seconds, metersNorth, accuracy = 5) => ({
+    latitude: target.lat + metersNorth / METERS_PER_DEGREE_LAT,
+    longitude: target.lon,
+    accuracy,
+    timestamp: seconds * 1000,
+  });
+
+  it("passes ordinary readings", () => {
+    assert.deepEqual(assessFixes([at(0, 10), at(5, 14), at(10, 12)], target), []);
+  });
+
+  it("flags a fix exactly on the target", () => {
+    assert.deepEqual(assessFixes([at(0, 0)], target), ["exact_target"]);
+  });
+
+  it("flags a fix without accuracy", () => {
+    assert.deepEqual(assessFixes([at(0, 10, 0)], target), ["no_accuracy"]);
+  });
+
+  it("flags movement faster than is plausible, in time order", () => {
+    assert.deepEqual(assessFixes([at(2, 2000), at(0, 10)], target), ["impossible_jump"]);
+  });
+
+  it("lets the accuracy radii explain a jump", () => {
+    assert.deepEqual(assessFixes([at(0, 10, 60), at(1, 120, 60)], target), []);
+  });
+
+  it("is applied by evaluateLocation to the history too", () => {
+    const result = evaluateLocation(north(0, 5), [{ ...north(0, 5), latitude: 36.1, timestamp: -1000 }], squareTent);
+    assert.equal(result.ok, true);
+    assert.ok(result.flags.includes("impossible_jump"));
+  });
+});
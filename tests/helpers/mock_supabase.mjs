@@ -0,0 +1,122 @@
+/**
+ * A local stand-in for the Supabase REST API (PostgREST), enough for the
+ * scripts' supaFetch calls: GET/POST/PATCH on /rest/v1/<table> with
+ * eq/gte/gt/lte/lt/in filters, order and limit, and GET /auth/v1/user for
+ * the access tokens in the `auth_users` table ({ token, email }). Tables are
+ * plain arrays of rows; every request is recorded for assertions.
+ *
+ *   const mock = await startMockSupabase({ attendance: [] });
+ *   // run a script with env { SUPABASE_URL: mock.url, SUPABASE_SERVICE_ROLE_KEY: "test" }
+ *   mock.requests; mock.tables.attendance;
+ *   await mock.close();
+ */
+
+import http from "node:http";
+
+const OPERATORS = {
+  eq: (a, b) => String(a) === b,
+  neq: (a, b) => String(a) !== b,
+  gte: (a, b) => compare(a, b) >= 0,
+  gt: (a, b) => compare(a, b) > 0,
+  lte: (a, b) => compare(a, b) <= 0,
+  lt: (a, b) => compare(a, b) < 0,
+  in: (a, b) => b.replace(/^\(|\)$/g, "").split(",").includes(String(a)),
+};
+
+const RESERVED = new Set(["select", "order", "limit", "on_conflict"]);
+
+// Timestamps compare as times, everything else as strings.
+function compare(a, b) {
+  const ta = Date.parse(a);
+  const tb = Date.parse(b);
+  if (!Number.isNaN(ta) && !Number.isNaN(tb)) return ta - tb;
+  return String(a).localeCompare(b);
+}
+
+function matcher(params) {
+  const filters = [];
+  for (const [column, value] of params) {
+    if (RESERVED.has(column)) continue;
+    const dot = value.indexOf(".");
+    const op = OPERATORS[value.slice(0, dot)];
+    if (!op) throw new Error(`Unsupported filter ${column}=${value}`);
+    filters.push((row) => row[column] !== undefined && row[column] !== null && op(row[column], value.slice(dot + 1)));
+  }
+  return (row) => filters.every((f) => f(row));
+}
+
+function ordered(rows, params) {
+  let out = [...rows];
+  const order = params.get("order");
+  if (order) {
+    const [column, direction] = order.split(".");
+    out.sort((a, b) => compare(a[column], b[column]) * (direction === "desc" ? -1 : 1));
+  }
+  const limit = params.get("limit");
+  return limit ? out.slice(0, Number(limit)) : out;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => resolve(text ? JSON.parse(text) : null));
+    req.on("error", reject);
+  });
+}
+
+export async function startMockSupabase(tables = {}) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const table = url.pathname.replace(/^\/rest\/v1\//, "");
+    const body = await readBody(req);
+    requests.push({ method: req.method, table, params: url.searchParams, headers: req.headers, body });
+
+    const send = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(data === undefined ? "" : JSON.stringify(data));
+    };
+
+    if (url.pathname === "/auth/v1/user") {
+      const token = (req.headers.authorization ?? "").replace(/^Bearer /, "");
+      const user = (tables.auth_users ?? []).find((u) => u.token === token);
+      return user ? send(200, { email: user.email }) : send(401, { message: "invalid token" });
+    }
+
+    try {
+      const rows = (tables[table] ??= []);
+      const matches = matcher(url.searchParams);
+
+      if (req.method === "GET") return send(200, ordered(rows.filter(matches), url.searchParams));
+
+      if (req.method === "POST") {
+        const inserted = Array.isArray(body) ? body : [body];
+        rows.push(...inserted);
+        const representation = (req.headers.prefer ?? "").includes("return=representation");
+        return representation ? send(201, inserted) : send(201);
+      }
+
+      if (req.method === "PATCH") {
+        const updated = rows.filter(matches);
+        for (const row of updated) Object.assign(row, body);
+        return send(200, updated);
+      }
+
+      send(405, { message: `${req.method} not supported` });
+    } catch (e) {
+      send(400, { message: e.message });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    tables,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
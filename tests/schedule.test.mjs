@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import Papa from "papaparse";
+import { buildShiftsForPerson, parseScheduleCSV, shiftId } from "../js/schedule_core.js";
+import { getWeekBounds, scheduleWeeks } from "../js/schedule.js";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const spans = (shifts) => shifts.map((s) => [s.start.toISOString(), s.end.toISOString()]);
+
+describe("parseScheduleCSV", () => {
+  const schedule = parseScheduleCSV(fixture("schedule_basic.csv"), Papa);
+
+  it("reads people from the header and times as New York wall-clock", () => {
+    assert.deepEqual(schedule.people, ["Ann", "Ben", "Cat", "Dee"]);
+    assert.equal(schedule.timeline[0].time.toISOString(), "2026-01-28T12:00:00.000Z");
+    assert.equal(schedule.timeline.length, 5);
+  });
+
+  it("builds shifts for everyone with IDs from the UTC start", () => {
+    assert.equal(schedule.shifts.length, 4);
+    for (const s of schedule.shifts) {
+      assert.equal(s.shiftId, shiftId(s.person, s.start.toISOString()));
+    }
+  });
+});
+
+describe("buildShiftsForPerson", () => {
+  const { timeline } = parseScheduleCSV(fixture("schedule_basic.csv"), Papa);
+
+  it("ends a run at the first row that is off", () => {
+    assert.deepEqual(spans(buildShiftsForPerson(timeline, "Ann")), [
+      ["2026-01-28T12:00:00.000Z", "2026-01-28T14:00:00.000Z"],
+    ]);
+  });
+
+  it("makes a one-row shift last until the next row", () => {
+    assert.deepEqual(spans(buildShiftsForPerson(timeline, "Ben"))[0], [
+      "2026-01-28T13:00:00.000Z",
+      "2026-01-28T14:00:00.000Z",
+    ]);
+  });
+
+  it("closes a run that is still on at the last row at the last row's time", () => {
+    assert.deepEqual(spans(buildShiftsForPerson(timeline, "Ben"))[1], [
+      "2026-01-28T15:00:00.000Z",
+      "2026-01-28T16:00:00.000Z",
+    ]);
+    assert.deepEqual(spans(buildShiftsForPerson(timeline, "Cat")), [
+      ["2026-01-28T14:00:00.000Z", "2026-01-28T16:00:00.000Z"],
+    ]);
+  });
+
+  it("gives no shift to someone on only at the last row", () => {
+    assert.deepEqual(buildShiftsForPerson(timeline, "Dee"), []);
+  });
+
+  it("gives no shifts from a timeline shorter than two rows", () => {
+    assert.deepEqual(buildShiftsForPerson(timeline.slice(0, 1), "Ann"), []);
+  });
+
+  it("keeps shift IDs in UTC across the spring-forward gap", () => {
+    const dst = parseScheduleCSV(fixture("schedule_dst.csv"), Papa);
+    const [ann] = buildShiftsForPerson(dst.timeline, "Ann");
+
+    // 1:00 EST to 3:00 EDT is one real hour.
+    assert.equal(ann.shiftId, "Ann__2026-03-08T06:00:00.000Z");
+    assert.equal(ann.end.toISOString(), "2026-03-08T07:00:00.000Z");
+  });
+});
+
+describe("getWeekBounds", () => {
+  const timeZone = "America/New_York";
+
+  it("keeps weeks starting at the anchor's wall-clock time across spring forward", () => {
+    const anchor = new Date("2026-03-02T12:00:00Z"); // Monday 7:00 EST
+    const week0 = getWeekBounds(anchor, 0, timeZone);
+    const week1 = getWeekBounds(anchor, 1, timeZone);
+
+    assert.equal(week0.start.toISOString(), "2026-03-02T12:00:00.000Z");
+    assert.equal(week0.end.toISOString(), "2026-03-09T11:00:00.000Z"); // 7:00 EDT
+    assert.deepEqual(week1.start, week0.end);
+    assert.equal(week0.end - week0.start, (7 * 24 - 1) * 60 * 60 * 1000);
+  });
+
+  it("keeps weeks starting at the anchor's wall-clock time across fall back", () => {
+    const anchor = new Date("2026-10-26T11:00:00Z"); // Monday 7:00 EDT
+    const { end } = getWeekBounds(anchor, 0, timeZone);
+
+    assert.equal(end.toISOString(), "2026-11-02T12:00:00.000Z"); // 7:00 EST
+  });
+
+  it("covers the whole schedule with scheduleWeeks", () => {
+    const schedule = parseScheduleCSV(fixture("schedule_basic.csv"), Papa);
+    const weeks = scheduleWeeks(schedule, timeZone);
+
+    assert.equal(weeks.length, 1);
+    assert.ok(weeks[0].end > schedule.timeline.at(-1).time);
+  });
+
+  it("has no weeks for a schedule with no rows", () => {
+    assert.deepEqual(scheduleWeeks({ people: ["Ann"], timeline: [] }, timeZone), []);
+  });
+});
@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { startMockSupabase } from "./helpers/mock_supabase.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SCHEDULE = fileURLToPath(new URL("./fixtures/schedule_basic.csv", import.meta.url));
+const TENTS = [{ id: "main", name: "Main tent", schedule_csv_path: SCHEDULE }];
+
+// Ann is on 12:00Z–14:00Z; the sweep waits out the 5-minute verify grace.
+const ANN_START = "2026-01-28T12:00:00.000Z";
+const GRACE_ENDS = "2026-01-28T12:05:00.000Z";
+const JUST_AFTER_GRACE = "2026-01-28T12:05:00.001Z";
+
+// The run is recorded at the real time, not the simulated --now.
+function assertRecordedDuring(lastRun, startedAt) {
+  const at = Date.parse(lastRun);
+  assert.ok(at >= startedAt && at <= Date.now(), `last_run ${lastRun}`);
+}
+
+async function sweep(args, env = {}) {
+  return promisify(execFile)(process.execPath, ["scripts/mark_missed.mjs", ...args], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    timeout: 30000,
+  });
+}
+
+describe("mark_missed.mjs with a JSON store", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sweep-test-"));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function store(tables) {
+    const file = path.join(dir, `store-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify({ tents: TENTS, ...tables }));
+    return {
+      spec: `json:${file}`,
+      read: () => JSON.parse(fs.readFileSync(file, "utf8")),
+    };
+  }
+
+  it("leaves a shift alone until its grace period is over", async () => {
+    const s = store({ attendance: [] });
+    await sweep(["--store", s.spec, "--now", GRACE_ENDS]);
+    assert.deepEqual(s.read().attendance, []);
+  });
+
+  it("records a miss once the grace period is over", async () => {
+    const s = store({ attendance: [] });
+    const startedAt = Date.now();
+    await sweep(["--store", s.spec, "--now", JUST_AFTER_GRACE]);
+
+    const rows = s.read().attendance;
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].shift_id, `Ann__${ANN_START}`);
+    assert.equal(rows[0].status, "missed");
+    assert.equal(rows[0].tent_id, "main");
+    assertRecordedDuring(s.read().sweep_metadata.last_run, startedAt);
+  });
+
+  it("never replaces an existing outcome", async () => {
+    const verified = { tent_id: "main", shift_id: `Ann__${ANN_START}`, person: "Ann", shift_start: ANN_START, shift_end: "2026-01-28T14:00:00.000Z", status: "verified" };
+    const s = store({ attendance: [verified] });
+    await sweep(["--store", s.spec, "--now", JUST_AFTER_GRACE]);
+    assert.deepEqual(s.read().attendance, [verified]);
+  });
+
+  it("records an approved absence as excused", async () => {
+    const s = store({
+      attendance: [],
+      absence_requests: [{ id: 7, tent_id: "main", shift_id: `Ann__${ANN_START}`, shift_start: ANN_START, reason: "Exam", status: "approved" }],
+    });
+    await sweep(["--store", s.spec, "--now", JUST_AFTER_GRACE]);
+
+    const [row] = s.read().attendance;
+    assert.equal(row.status, "excused");
+    assert.equal(row.absence_request_id, 7);
+  });
+
+  it("writes nothing on a dry run", async () => {
+    const s = store({ attendance: [] });
+    const { stdout } = await sweep(["--store", s.spec, "--now", "2026-01-28T17:00:00Z", "--dry-run"]);
+
+    assert.match(stdout, /Would record missed: Ann/);
+    assert.deepEqual(s.read().attendance, []);
+    assert.equal(s.read().sweep_metadata, undefined);
+  });
+
+  it("only sweeps shifts starting inside --since/--until", async () => {
+    const s = store({ attendance: [] });
+    await sweep(["--store", s.spec, "--now", "2026-01-28T17:00:00Z", "--since", "2026-01-28T13:00:00Z", "--until", "2026-01-28T15:00:00Z"]);
+
+    const ids = s.read().attendance.map((r) => r.shift_id).sort();
+    assert.deepEqual(ids, ["Ben__2026-01-28T13:00:00.000Z", "Cat__2026-01-28T14:00:00.000Z"]);
+  });
+});
+
+describe("mark_missed.mjs against a mocked Supabase", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockSupabase();
+  });
+  after(() => mock.close());
+
+  function reset(tables) {
+    mock.requests.length = 0;
+    for (const name of Object.keys(mock.tables)) delete mock.tables[name];
+    Object.assign(mock.tables, { tents: structuredClone(TENTS), sweep_metadata: [{ id: 1, last_run: null }] }, tables);
+  }
+
+  const env = () => ({ SUPABASE_URL: mock.url, SUPABASE_SERVICE_ROLE_KEY: "test" });
+
+  it("inserts misses as the sweep and records the run", async () => {
+    reset({ attendance: [] });
+    const startedAt = Date.now();
+    await sweep(["--now", JUST_AFTER_GRACE], env());
+
+    const insert = mock.requests.find((r) => r.method === "POST" && r.table === "attendance");
+    assert.equal(insert.headers["x-change-source"], "sweep");
+    assert.deepEqual(insert.body.map((r) => r.shift_id), [`Ann__${ANN_START}`]);
+    assertRecordedDuring(mock.tables.sweep_metadata[0].last_run, startedAt);
+  });
+
+  it("filters attendance by date on the server", async () => {
+    reset({ attendance: [] });
+    await sweep(["--now", "2026-01-28T17:00:00Z", "--since", "2026-01-28T13:00:00Z", "--until", "2026-01-28T15:00:00Z"], env());
+
+    const query = mock.requests.find((r) => r.method === "GET" && r.table === "attendance").params;
+    assert.deepEqual(query.getAll("shift_start"), ["gte.2026-01-28T13:00:00.000Z", "lt.2026-01-28T15:00:00.000Z"]);
+    assert.equal(query.get("tent_id"), "eq.main");
+  });
+
+  it("makes no writes on a dry run", async () => {
+    reset({ attendance: [] });
+    await sweep(["--now", "2026-01-28T17:00:00Z", "--dry-run"], env());
+
+    assert.deepEqual(mock.requests.filter((r) => r.method !== "GET"), []);
+  });
+});
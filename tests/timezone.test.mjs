@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { zonedTimeToDate } from "../js/timezone.js";
+
+const at = (fields, timeZone) => zonedTimeToDate(fields, timeZone).toISOString();
+
+describe("zonedTimeToDate", () => {
+  it("reads ordinary times on both sides of UTC", () => {
+    assert.equal(at({ year: 2026, month: 1, day: 15, hour: 9 }, "America/New_York"), "2026-01-15T14:00:00.000Z");
+    assert.equal(at({ year: 2026, month: 1, day: 15, hour: 9 }, "Australia/Sydney"), "2026-01-14T22:00:00.000Z");
+  });
+
+  it("pushes spring-forward gaps forward", () => {
+    // 2:30 EST doesn't exist; 3:30 EDT does.
+    assert.equal(at({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, "America/New_York"), "2026-03-08T07:30:00.000Z");
+    // 1:30 GMT doesn't exist; 2:30 BST does.
+    assert.equal(at({ year: 2026, month: 3, day: 29, hour: 1, minute: 30 }, "Europe/London"), "2026-03-29T01:30:00.000Z");
+    // 2:30 AEST doesn't exist; 3:30 AEDT does.
+    assert.equal(at({ year: 2026, month: 10, day: 4, hour: 2, minute: 30 }, "Australia/Sydney"), "2026-10-03T16:30:00.000Z");
+  });
+
+  it("resolves fall-back repeats to the first occurrence", () => {
+    assert.equal(at({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, "America/New_York"), "2026-11-01T05:30:00.000Z");
+    assert.equal(at({ year: 2026, month: 10, day: 25, hour: 1, minute: 30 }, "Europe/London"), "2026-10-25T00:30:00.000Z");
+    assert.equal(at({ year: 2026, month: 4, day: 5, hour: 2, minute: 30 }, "Australia/Sydney"), "2026-04-04T15:30:00.000Z");
+  });
+});
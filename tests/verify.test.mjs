@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { shiftId } from "../js/schedule_core.js";
+import { tentSettings } from "../js/tents.js";
+import { computeVerifiableShifts, verifyWindowFor } from "../js/verify_core.js";
+
+const MINUTE = 60 * 1000;
+const start = new Date("2026-01-28T12:00:00Z");
+const shift = { person: "Ann", start, end: new Date("2026-01-28T14:00:00Z"), shiftId: shiftId("Ann", start.toISOString()) };
+const at = (minutes, ms = 0) => new Date(start.getTime() + minutes * MINUTE + ms);
+
+describe("verifyWindowFor", () => {
+  it("opens 15 minutes before the start and closes 5 after by default", () => {
+    const { opensAt, closesAt } = verifyWindowFor(shift);
+    assert.deepEqual(opensAt, at(-15));
+    assert.deepEqual(closesAt, at(5));
+  });
+
+  it("uses the tent's minutes", () => {
+    const tent = tentSettings({ id: "east", verify_before_minutes: 30, verify_after_minutes: 0 });
+    const { opensAt, closesAt } = verifyWindowFor(shift, tent);
+    assert.deepEqual(opensAt, at(-30));
+    assert.deepEqual(closesAt, start);
+  });
+});
+
+describe("computeVerifiableShifts", () => {
+  const none = new Map();
+
+  it("includes both ends of the window", () => {
+    assert.deepEqual(computeVerifiableShifts([shift], none, at(-15)), [shift]);
+    assert.deepEqual(computeVerifiableShifts([shift], none, at(5)), [shift]);
+  });
+
+  it("excludes times just outside the window", () => {
+    assert.deepEqual(computeVerifiableShifts([shift], none, at(-15, -1)), []);
+    assert.deepEqual(computeVerifiableShifts([shift], none, at(5, 1)), []);
+  });
+
+  it("skips shifts that already have an outcome", () => {
+    for (const status of ["verified", "excused", "late", "covered"]) {
+      const records = new Map([[shift.shiftId, { shift_id: shift.shiftId, status }]]);
+      assert.deepEqual(computeVerifiableShifts([shift], records, at(0)), [], status);
+    }
+  });
+
+  it("still offers a shift recorded as missed", () => {
+    const records = new Map([[shift.shiftId, { shift_id: shift.shiftId, status: "missed" }]]);
+    assert.deepEqual(computeVerifiableShifts([shift], records, at(0)), [shift]);
+  });
+
+  it("matches records by the shift's UTC start, not its local time", () => {
+    const local = shiftId("Ann", "2026-01-28T07:00:00.000-05:00");
+    const records = new Map([[local, { shift_id: local, status: "verified" }]]);
+    assert.deepEqual(computeVerifiableShifts([shift], records, at(0)), [shift]);
+  });
+});
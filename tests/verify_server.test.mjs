@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { GEOFENCE } from "../js/config.js";
+import { formatScheduleTime } from "../js/schedule_core.js";
+import { DEFAULT_TENT } from "../js/tents.js";
+import { startMockSupabase } from "./helpers/mock_supabase.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const HOUR = 60 * 60 * 1000;
+
+// A schedule around the real current time: the server judges requests now.
+function scheduleCSV(rows) {
+  const lines = rows.map(([time, ann, ben]) => `${formatScheduleTime(time, DEFAULT_TENT.timeZone)},${ann},${ben}`);
+  return ["Time,Ann,Ben", ...lines].join("\r\n");
+}
+
+function startServer(env) {
+  const child = spawn(process.execPath, ["scripts/verify_server.mjs"], {
+    cwd: ROOT,
+    env: { ...process.env, ...env, PORT: "0" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  return new Promise((resolve, reject) => {
+    child.on("exit", (code) => reject(new Error(`verify_server exited with ${code}`)));
+    child.stdout.on("data", (chunk) => {
+      const m = /localhost:(\d+)/.exec(String(chunk));
+      if (m) resolve({ url: `http://127.0.0.1:${m[1]}`, stop: () => child.kill() });
+    });
+  });
+}
+
+describe("verify_server.mjs", () => {
+  let mock;
+  let server;
+  // Whole minutes, so the CSV round-trips the times exactly.
+  const base = Math.floor(Date.now() / 60000) * 60000;
+  const soon = new Date(base + 5 * 60 * 1000); // Ann's shift; check-in is open
+  const later = new Date(base + 24 * HOUR);
+
+  before(async () => {
+    mock = await startMockSupabase();
+    server = await startServer({ SUPABASE_URL: mock.url, SUPABASE_SERVICE_ROLE_KEY: "test" });
+  });
+  after(async () => {
+    server?.stop();
+    await mock.close();
+  });
+
+  function reset(tables) {
+    mock.requests.length = 0;
+    for (const name of Object.keys(mock.tables)) delete mock.tables[name];
+    Object.assign(
+      mock.tables,
+      {
+        auth_users: [{ token: "ann-token", email: "ann@example.com" }],
+        members: [{ name: "Ann", email: "ann@example.com", role: "member" }],
+        tents: [{ id: "main", name: "Main tent" }],
+        tent_members: [{ tent_id: "main", name: "Ann", role: "member" }],
+        schedule_versions: [
+          {
+            tent_id: "main",
+            created_at: new Date(base).toISOString(),
+            csv: scheduleCSV([
+              [soon, "TRUE", "FALSE"],
+              [new Date(soon.getTime() + HOUR), "FALSE", "FALSE"],
+              [later, "TRUE", "FALSE"],
+              [new Date(later.getTime() + 2 * HOUR), "FALSE", "TRUE"],
+              [new Date(later.getTime() + 4 * HOUR), "FALSE", "FALSE"],
+            ]),
+          },
+        ],
+        shift_swaps: [],
+      },
+      tables
+    );
+  }
+
+  async function post(path, body, token = "ann-token") {
+    const res = await fetch(`${server.url}${path}`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  describe("POST /offer", () => {
+    it("offers the member's scheduled shift", async () => {
+      reset();
+      const { status, body } = await post("/offer", { tentId: "main", shiftStartISO: later.toISOString() });
+
+      assert.equal(status, 200, body.error);
+      assert.equal(mock.tables.shift_swaps.length, 1);
+      assert.deepEqual(mock.tables.shift_swaps[0], {
+        tent_id: "main",
+        shift_id: `Ann__${later.toISOString()}`,
+        from_person: "Ann",
+        shift_start: later.toISOString(),
+        shift_end: new Date(later.getTime() + 2 * HOUR).toISOString(),
+      });
+    });
+
+    it("refuses a shift that isn't the member's", async () => {
+      reset();
+      const benStart = new Date(later.getTime() + 2 * HOUR).toISOString();
+      const { status } = await post("/offer", { tentId: "main", shiftStartISO: benStart });
+
+      assert.equal(status, 404);
+      assert.deepEqual(mock.tables.shift_swaps, []);
+    });
+
+    it("follows swaps that already moved the shift", async () => {
+      reset({
+        shift_swaps: [
+          {
+            tent_id: "main",
+            from_person: "Ann",
+            to_person: "Ben",
+            shift_start: later.toISOString(),
+            shift_end: new Date(later.getTime() + 2 * HOUR).toISOString(),
+            status: "approved",
+            offered_at: new Date(base).toISOString(),
+          },
+        ],
+      });
+      const { status } = await post("/offer", { tentId: "main", shiftStartISO: later.toISOString() });
+      assert.equal(status, 404);
+    });
+
+    it("requires a signed-in tent member", async () => {
+      reset();
+      assert.equal((await post("/offer", { shiftStartISO: later.toISOString() }, "bad-token")).status, 401);
+
+      reset({ tent_members: [] });
+      assert.equal((await post("/offer", { shiftStartISO: later.toISOString() })).status, 403);
+    });
+
+    it("lets a site admin act in any tent", async () => {
+      reset({ members: [{ name: "Ann", email: "ann@example.com", role: "admin" }], tent_members: [] });
+      const { status, body } = await post("/offer", { tentId: "main", shiftStartISO: later.toISOString() });
+
+      assert.equal(status, 200, body.error);
+      assert.equal(mock.tables.shift_swaps.length, 1);
+    });
+  });
+
+  describe("POST /verify", () => {
+    const ring = GEOFENCE.coordinates[0].slice(0, -1);
+    const checkIn = () => ({
+      tentId: "main",
+      shiftStartISO: soon.toISOString(),
+      latitude: ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length + 1e-6,
+      longitude: ring.reduce((sum, [lon]) => sum + lon, 0) / ring.length + 1e-6,
+      accuracy: 8,
+      timestamp: Date.now(),
+    });
+    const existing = (fields) => ({
+      tent_id: "main",
+      shift_id: `Ann__${soon.toISOString()}`,
+      person: "Ann",
+      shift_start: soon.toISOString(),
+      shift_end: new Date(soon.getTime() + HOUR).toISOString(),
+      ...fields,
+    });
+
+    it("records a shift with no row yet as verified", async () => {
+      reset({ attendance: [] });
+      const { status, body } = await post("/verify", checkIn());
+
+      assert.equal(status, 200, body.error);
+      assert.equal(mock.tables.attendance.length, 1);
+      assert.equal(mock.tables.attendance[0].status, "verified");
+    });
+
+    it("replaces a missed row and clears its override", async () => {
+      reset({ attendance: [existing({ status: "missed", overridden: true, override_reason: "No show", override_by: "Cat" })] });
+      const { status, body } = await post("/verify", checkIn());
+
+      assert.equal(status, 200, body.error);
+      const [row] = mock.tables.attendance;
+      assert.equal(row.status, "verified");
+      assert.equal(row.overridden, false);
+      assert.equal(row.override_reason, null);
+      assert.equal(row.override_by, null);
+    });
+
+    it("keeps any other outcome and answers 409", async () => {
+      for (const outcome of ["excused", "late", "covered", "verified"]) {
+        const row = existing({ status: outcome, overridden: true, override_reason: "Admin call" });
+        reset({ attendance: [structuredClone(row)] });
+        const { status } = await post("/verify", checkIn());
+
+        assert.equal(status, 409, outcome);
+        assert.deepEqual(mock.tables.attendance, [row]);
+        assert.equal(mock.requests.filter((r) => r.table === "attendance" && r.method !== "GET").length, 0);
+      }
+    });
+  });
+});